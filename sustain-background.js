@@ -0,0 +1,5531 @@
+/**
+ * sustain.brussels - Presentation Background Animation
+ * Three.js implementation for looping video background
+ * Duration: ~25 seconds with seamless loop
+ *
+ * Embeddable: new SustainBackground(container, config) or <sustain-background>.
+ * Every instance keeps its own scene, clock and DOM inside its container.
+ * Scene layers are pluggable: SustainBackground.registerLayer() (see Layers).
+ */
+
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import GUI from 'three/addons/libs/lil-gui.module.min.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { RGBShiftShader } from 'three/addons/shaders/RGBShiftShader.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+import { FilmShader } from 'three/addons/shaders/FilmShader.js';
+
+// ============================================
+// Public API
+// ============================================
+/**
+ * The background in a container. Events (CustomEvent): 'ready', 'loop',
+ * 'sequenceenter', 'sequenceexit' and 'sequencechange' (= enter), with the
+ * sequence in detail: index, name, type, start, end.
+ *
+ *   const background = new SustainBackground(element, { theme: 'ulb' });
+ *   background.addEventListener('sequencechange', e => console.log(e.detail.name));
+ */
+export class SustainBackground extends EventTarget {
+    #controls;
+
+    /**
+     * @param {HTMLElement} container - Element the stage fills
+     * @param {Object} [config] - Overrides of CONFIG, merged deeply
+     * @param {Object} [options]
+     * @param {string|URLSearchParams} [options.params] - Overrides in the URL format (seed=..., theme=...)
+     * @param {boolean} [options.keyboard] - Listen to the presenter shortcuts on the document
+     * @param {boolean} [options.control] - Take commands from window.postMessage (see Control API)
+     */
+    constructor(container, config = {}, options = {}) {
+        super();
+        this.container = container;
+        this.#controls = createBackground(container, config, {
+            ...options,
+            onEvent: (type, detail) => this.dispatchEvent(new CustomEvent(type, { detail }))
+        });
+        // Resolves once the content is loaded and the animation runs
+        this.ready = this.#controls.ready;
+    }
+
+    play() {
+        this.#controls.play();
+    }
+
+    pause() {
+        this.#controls.pause();
+    }
+
+    /**
+     * @param {number} time - Seconds within the loop
+     */
+    seek(time) {
+        this.#controls.seek(time);
+    }
+
+    /**
+     * @param {number|string} sequence - Index (from 0) or name
+     */
+    goto(sequence) {
+        this.#controls.command({ command: 'goto', sequence });
+    }
+
+    /**
+     * @param {string|Object} theme - Theme name or definition
+     */
+    setTheme(theme) {
+        this.#controls.command({ command: 'setTheme', theme });
+    }
+
+    /**
+     * @param {string} language - A language of the content file, or 'auto'
+     */
+    setLanguage(language) {
+        this.#controls.command({ command: 'setLanguage', language });
+    }
+
+    /**
+     * @param {number|string} sequence - Index (from 0) or name
+     * @param {number} item - Text within the sequence, in reading order
+     * @param {string|Object} text - A string, or one string per language
+     */
+    setText(sequence, item, text) {
+        this.#controls.command({ command: 'setText', sequence, item, text });
+    }
+
+    /**
+     * Run a command in the postMessage format, e.g. { command: 'seek', time: 12 }.
+     * Before ready, waits for the content like the other methods.
+     * @param {Object} message
+     * @throws {Error} - Unknown command or invalid arguments (logged before ready)
+     */
+    command(message) {
+        this.#controls.command(message);
+    }
+
+    /**
+     * Compare the last frame of the loop with the first, layer by layer
+     * (see Loop Check). Also logged as a table.
+     * @returns {Promise<Object>} - { seamless, layers: [{ name, seam, neighbours, score, seamless }] }
+     */
+    verifyLoop() {
+        return this.#controls.verifyLoop();
+    }
+
+    dispose() {
+        this.#controls.dispose();
+    }
+
+    /**
+     * Make a scene layer available by name to every instance created
+     * afterwards, for CONFIG.layers, ?layers= and the "layers" attribute
+     * @param {string} name
+     * @param {Object} layer - { create, update, resize, theme, dispose }, see Layers
+     */
+    static registerLayer(name, layer) {
+        registeredLayers.set(name, layer);
+    }
+
+    /** Seconds within the loop */
+    get currentTime() {
+        return this.#controls.time;
+    }
+
+    /** Loop duration in seconds (0 until ready) */
+    get duration() {
+        return this.#controls.duration;
+    }
+
+    get playing() {
+        return this.#controls.playing;
+    }
+
+    /** Current sequence, as in the 'sequencechange' detail */
+    get sequence() {
+        return this.#controls.sequence;
+    }
+}
+
+const BACKGROUND_EVENTS = ['ready', 'loop', 'sequenceenter', 'sequenceexit', 'sequencechange', 'qualitychange'];
+
+// Layers available by name to every instance, see SustainBackground.registerLayer
+const registeredLayers = new Map();
+
+/**
+ * <sustain-background content="content.json" theme="ulb" profile="landscape">
+ * Attributes take the URL parameters of the full-page player; "keyboard"
+ * enables the presenter shortcuts, "control" the postMessage commands.
+ * Created when connected, disposed when removed.
+ */
+export class SustainBackgroundElement extends HTMLElement {
+    connectedCallback() {
+        const params = new URLSearchParams();
+        for (const { name, value } of this.attributes) params.set(name, value);
+
+        this.background = new SustainBackground(this, {}, {
+            params,
+            keyboard: this.hasAttribute('keyboard'),
+            control: this.hasAttribute('control')
+        });
+        BACKGROUND_EVENTS.forEach(type => {
+            this.background.addEventListener(type, e => this.dispatchEvent(new CustomEvent(type, { detail: e.detail })));
+        });
+        this.background.ready.catch(() => {});  // Shown in the element
+    }
+
+    disconnectedCallback() {
+        this.background.dispose();
+        this.background = null;
+    }
+
+    play() {
+        this.background?.play();
+    }
+
+    pause() {
+        this.background?.pause();
+    }
+
+    seek(time) {
+        this.background?.seek(time);
+    }
+
+    command(message) {
+        this.background?.command(message);
+    }
+}
+
+if (!customElements.get('sustain-background')) {
+    customElements.define('sustain-background', SustainBackgroundElement);
+}
+
+/**
+ * Deep-assign plain-object overrides, arrays and values replace the defaults
+ * @param {Object} target
+ * @param {Object} overrides
+ * @returns {Object} - target
+ */
+function mergeConfig(target, overrides) {
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        if (isObject && target[key] && typeof target[key] === 'object') {
+            mergeConfig(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+// ============================================
+// Instance
+// ============================================
+/**
+ * Build one instance. All of its state lives in this closure, so several
+ * instances can share a page.
+ * @param {HTMLElement} container
+ * @param {Object} config - Overrides of CONFIG
+ * @param {Object} options - See SustainBackground, plus onEvent(type, detail)
+ * @returns {Object} - Controls used by SustainBackground
+ */
+function createBackground(container, config, options) {
+    const params = new URLSearchParams(options.params);
+
+    // ============================================
+    // Configuration
+    // ============================================
+    const CONFIG = {
+        // Random seed (number or string), overridden by ?seed= in the URL.
+        // null = new layout on every load, the seed in use is logged to the console
+        seed: null,
+        // Presentation content (sequences, texts, logos), overridden by ?content= in the URL
+        content: 'content.json',
+        // Overlay language, overridden by ?lang= in the URL.
+        // null = first language of the content file, 'auto' = next language on every loop
+        language: null,
+        // Sequences, in playing order (durations in seconds, the loop lasts their sum).
+        // Filled from the content file. Each sequence drives its overlay and the scene:
+        //   element - overlay element shown while the sequence plays
+        //   network - show the network (consecutive sequences share one fade in/out)
+        //   shapes  - geometric shapes opacity factor
+        //   camera  - camera keyframes (see Camera Path), or a distance: a number
+        //             or [start, end] over the sequence
+        //   bloom   - bloom strength factor, a number or [start, end] over the sequence
+        //   morph   - shape the particles form during the sequence (see Particle Morphing)
+        //   logos   - logo state, or a list of { at, state } switching within the sequence
+        timeline: [],
+        // Color theme (see THEMES), overridden by the content file and ?theme= in the URL
+        theme: 'sustain-dark',
+        // Colors of the active theme, set by initTheme()
+        colors: null,
+        // Scene layers, in drawing order (see Layers), overridden by ?layers= in the URL.
+        // Names of built-in (matrix, particles, network, shapes) or registered
+        // layers, or layer objects. Leave a name out to hide the layer
+        layers: ['matrix', 'particles', 'network', 'shapes'],
+        // Particles
+        particles: {
+            count: 800,
+            size: 2,
+            speed: 0.0003
+        },
+        // Network
+        network: {
+            nodeCount: 40,
+            connectionDistance: 8
+        },
+        // Logo cloud rendered in WebGL from the SVG files, overridden by ?logos3d=off
+        // in the URL. The logos assemble out of network nodes or background particles
+        logos3D: {
+            enabled: true,
+            depth: 0.25,              // Extrusion depth in world units (0 = flat)
+            bevel: true,
+            assembleFrom: 'nodes',    // 'nodes' or 'particles'
+            pointsPerLogo: 500
+        },
+        // Post-processing, overridden by ?postfx=off in the URL.
+        // An effect is skipped when its strength is 0
+        postProcessing: {
+            enabled: true,
+            bloom: { strength: 0.6, radius: 0.4, threshold: 0.15, transitionBoost: 0.8 },
+            vignette: { offset: 1.0, darkness: 1.1 },
+            grain: { intensity: 0.08 },
+            chromaticAberration: { amount: 0.0008, transitionBoost: 0.002 }
+        },
+        // Soundtrack, overridden by the content file and ?audio= in the URL.
+        // It restarts with every loop; offset = seconds of the file at loop time 0
+        audio: {
+            src: null,
+            volume: 1,
+            offset: 0,
+            // Bass-driven reactions (0 = off)
+            reactive: { opacity: 0.3, pulse: 0.6, shake: 0.15 }
+        },
+        // Adaptive quality (see QUALITY_TIERS), overridden by ?quality= in the URL.
+        // 'auto' = start at the top tier and follow the frame rate, or a tier name
+        quality: {
+            tier: 'auto',
+            targetFps: 60,
+            sampleSeconds: 2,     // Frame times are averaged over this window
+            slowFactor: 1.25,     // A sample slower than the frame budget x this steps down
+            fastFactor: 1.1,      // A sample faster than the frame budget x this counts as fast
+            upgradeSamples: 5     // Fast samples in a row to step up
+        },
+        // Target screen (see OUTPUT_PROFILES), overridden by ?profile= in the URL.
+        // 'auto' = fill the window with the profile closest to its shape.
+        // ?slice=2/3 renders the second of three screens side by side
+        profile: 'auto',
+        // Multi-window sync, overridden by ?sync=leader|follower in the URL.
+        // Windows of one browser talk over a BroadcastChannel, other machines
+        // through the relay (node sync-relay.mjs) given by ?relay=ws://host:8787
+        sync: {
+            role: null,           // null, 'leader' or 'follower'
+            channel: 'sustain',   // Followers only listen to a leader on their channel (?channel=)
+            relay: null,
+            interval: 0.1,        // Seconds between two leader messages
+            maxDrift: 0.25        // Followers seek beyond this drift, and slew below it
+        },
+        // External control (see Control API). The full-page player, and elements
+        // with the "control" attribute, take commands from window.postMessage;
+        // ?remote=ws://host:8787 also takes them through the relay (sync-relay.mjs)
+        control: {
+            // Origins allowed to post commands and to receive the status, e.g.
+            // [location.origin, 'https://slides.example.org'] ('*' = any page)
+            origins: [window.location.origin],
+            remote: null,
+            channel: 'control',   // Relay channel of the remote
+            token: null           // Shared secret remote commands must carry (?token=), required with a remote
+        },
+        // Offline export
+        export: {
+            fps: 60,
+            width: null,          // null = resolution of the output profile
+            height: null,
+            format: 'webm',       // 'webm' or 'png'
+            bitrate: 8000000
+        }
+    };
+
+    // Overrides given to this instance
+    mergeConfig(CONFIG, config);
+
+    // ============================================
+    // Global Variables
+    // ============================================
+    let scene, camera, renderer;
+    let clock, startTime;
+    let animationFrame = null;
+    let resizeObserver = null;
+    let disposed = false;
+    const listeners = [];      // { target, type, handler } outside the container, see listen()
+    let particles, particlesMaterial;
+    let networkNodes = [];     // { position, userData } per node
+    let networkNodeMesh;       // Instanced spheres for all nodes
+    let networkLines;
+    let networkConnections = []; // Store individual connection states
+    let geometricShapes = [];
+    let currentSequence = -1; // Index in the timeline
+    let timeline = [];        // CONFIG.timeline with resolved start/end times
+    let networkSpans = [];    // Time ranges where the network is shown
+    let loopDuration = 0;
+    let svgGroups = []; // Store loaded SVG groups
+    let cloudLogos = [];  // Content logos with their place in the logo cloud
+    let svgLoader;
+
+    // Matrix background
+    let matrixRain = null;
+    const MATRIX_CHARS = '01アイウエオカキクケコ<>{}[]|/\\+=*';
+    const MATRIX_CONFIG = {
+        fontSize: 14,
+        opacity: 0.03,
+        speed: 0.1
+    };
+
+    // ============================================
+    // Seeded Random
+    // ============================================
+    let seed;
+    let seedHash;
+
+    /**
+     * Mulberry32 PRNG - small and fast, plenty for visuals
+     * @param {number} state - 32-bit integer seed
+     * @returns {Function} - Returns floats in [0, 1), like Math.random
+     */
+    function createRandom(state) {
+        return function random() {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * FNV-1a hash, turns any seed string into a 32-bit integer
+     * @param {string} value
+     * @returns {number}
+     */
+    function hashString(value) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function initRandom() {
+        const urlSeed = params.get('seed');
+        seed = urlSeed ?? CONFIG.seed ?? Math.floor(Math.random() * 1e9);
+        seedHash = hashString(String(seed));
+        console.log(`Seed: ${seed} (add ?seed=${encodeURIComponent(seed)} to the URL to keep this layout)`);
+    }
+
+    /**
+     * Independent stream per element, so that e.g. changing the particle count
+     * does not reshuffle the network layout
+     * @param {string} label - Element name
+     * @returns {Function}
+     */
+    function createLayoutRandom(label) {
+        return createRandom(hashString(`${seed}:${label}`));
+    }
+
+    /**
+     * Stateless random value for a list of integer keys: same seed and keys,
+     * same value, whatever was drawn before (murmur3 finaliser)
+     * @param {...number} keys
+     * @returns {number} - Float in [0, 1)
+     */
+    function randomAt(...keys) {
+        let hash = seedHash;
+        for (const key of keys) {
+            hash = Math.imul(hash ^ key, 0xCC9E2D51);
+            hash = (hash << 15) | (hash >>> 17);
+            hash = Math.imul(hash, 0x1B873593) ^ 0xE6546B64;
+        }
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85EBCA6B);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xC2B2AE35);
+        hash ^= hash >>> 16;
+        return (hash >>> 0) / 4294967296;
+    }
+
+    // ============================================
+    // Timeline
+    // ============================================
+    const SEQUENCE_DEFAULTS = {
+        network: false,
+        shapes: 0.3,
+        camera: 30,
+        bloom: 1,
+        morph: null,
+        logos: 'container-visible'
+    };
+
+    /**
+     * Resolve CONFIG.timeline into absolute start/end times, merge
+     * consecutive network sequences into continuous spans, and lay the
+     * camera path through the keyframes
+     */
+    function buildTimeline() {
+        let start = 0;
+        timeline = CONFIG.timeline.map((sequence, index) => {
+            const resolved = { ...SEQUENCE_DEFAULTS, ...sequence, index, start, end: start + sequence.duration };
+            start = resolved.end;
+            return resolved;
+        });
+        loopDuration = start;
+
+        networkSpans = [];
+        timeline.forEach(sequence => {
+            if (!sequence.network) return;
+            const lastSpan = networkSpans[networkSpans.length - 1];
+            if (lastSpan && lastSpan.end === sequence.start) {
+                lastSpan.end = sequence.end;
+            } else {
+                networkSpans.push({ index: networkSpans.length, start: sequence.start, end: sequence.end });
+            }
+        });
+
+        // A span ending the loop goes on into one starting it: as one span
+        // starting before 0, the network carries over the loop point
+        const firstSpan = networkSpans[0];
+        const lastSpan = networkSpans[networkSpans.length - 1];
+        if (networkSpans.length > 1 && firstSpan.start === 0 && lastSpan.end === loopDuration) {
+            firstSpan.start = lastSpan.start - loopDuration;
+            networkSpans.pop();
+        }
+
+        buildCameraPath();
+    }
+
+    /**
+     * @param {number} loopTime - Time within the loop
+     * @returns {Object} - The timeline sequence playing at that time
+     */
+    function getSequenceAt(loopTime) {
+        return timeline.find(sequence => loopTime < sequence.end) || timeline[timeline.length - 1];
+    }
+
+    /**
+     * Resolve a sequence value that may change over its duration
+     * @param {number|number[]} value - Constant, or [start, end] interpolated linearly
+     * @param {number} progress - Progress through the sequence (0-1)
+     * @returns {number}
+     */
+    function interpolateSequenceValue(value, progress) {
+        if (Array.isArray(value)) {
+            return value[0] + (value[1] - value[0]) * progress;
+        }
+        return value;
+    }
+
+    // Motion in the scene is a function of the loop time, so the last frame of
+    // the loop leads into the first. Oscillations and rotations are rounded to
+    // a whole number of periods per loop.
+
+    /**
+     * @param {number} frequency - Angular frequency (radians per second)
+     * @returns {number} - Closest frequency repeating a whole number of times per loop, at least once
+     */
+    function getLoopFrequency(frequency) {
+        const cycles = Math.max(1, Math.round(frequency * loopDuration / (Math.PI * 2)));
+        return cycles * Math.PI * 2 / loopDuration;
+    }
+
+    /**
+     * Angle of a steady rotation, back to an equivalent angle at the loop point:
+     * whole steps of `symmetry` per loop, or a sway of the same starting speed
+     * when less than half a step fits in the loop
+     * @param {number} speed - Radians per second
+     * @param {number} loopTime - Time within the loop
+     * @param {number} [symmetry] - Smallest rotation that looks the same (Math.PI / 3 for a hexagon)
+     * @returns {number} - Angle in radians
+     */
+    function getLoopRotation(speed, loopTime, symmetry = Math.PI * 2) {
+        const steps = Math.round(speed * loopDuration / symmetry);
+        if (steps !== 0) return steps * symmetry * loopTime / loopDuration;
+        return speed * loopDuration / (Math.PI * 2) * Math.sin(loopTime / loopDuration * Math.PI * 2);
+    }
+
+    // ============================================
+    // Content (sequences, texts, logos)
+    // ============================================
+    class ContentError extends Error {
+        constructor(message, url) {
+            super(`${url}: ${message}`);
+            this.name = 'ContentError';
+        }
+    }
+
+    const LEVER_ICONS = ['test', 'ai', 'poc', 'expertise'];
+    const LOGO_STATES = ['container-visible', 'cloud-all', 'cloud-sustain-only'];
+
+    // Overlay builders, by sequence type
+    const SEQUENCE_BUILDERS = {
+        keywords: (el, sequence) => {
+            const group = createElement('div', 'keyword-group', el);
+            sequence.keywords.forEach(keyword => {
+                setLocalizedText(createElement('span', 'keyword', group), keyword);
+            });
+        },
+        taglines: (el, sequence) => {
+            sequence.taglines.forEach(tagline => {
+                setLocalizedText(createElement('p', 'tagline', el), tagline);
+            });
+        },
+        levers: (el, sequence) => {
+            const grid = createElement('div', 'levers-grid', el);
+            sequence.levers.forEach(lever => {
+                const leverEl = createElement('div', 'lever', grid);
+                createElement('div', `lever-icon ${lever.icon}`, leverEl);
+                setLocalizedText(createElement('span', '', leverEl), lever.label);
+            });
+        },
+        impact: (el, sequence) => {
+            setLocalizedText(createElement('p', 'tagline-large', el), sequence.text);
+        },
+        'logo-cloud': (el) => {
+            const cloud = createElement('div', 'logo-cloud', el);
+            cloudLogos.forEach(({ logo, position }, index) => {
+                const img = createLogoImage(logo, index, `cloud-logo ${logo.main ? 'cloud-main' : 'cloud-partner'}`);
+                if (position) Object.assign(img.style, position);
+                cloud.appendChild(img);
+            });
+        }
+    };
+
+    /**
+     * Load and validate the content file (JSON, or YAML for .yaml/.yml)
+     * @param {string} url
+     * @returns {Promise<Object>} - Validated content
+     */
+    async function loadContent(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new ContentError(`could not be loaded (${error.message})`, url);
+        }
+        if (!response.ok) {
+            throw new ContentError(`could not be loaded (HTTP ${response.status})`, url);
+        }
+
+        const text = await response.text();
+        let content;
+        try {
+            if (/\.ya?ml$/i.test(new URL(url, window.location.href).pathname)) {
+                const yaml = await import('js-yaml');
+                content = yaml.load(text);
+            } else {
+                content = JSON.parse(text);
+            }
+        } catch (error) {
+            throw new ContentError(`is malformed - ${error.message}`, url);
+        }
+
+        validateContent(content, url);
+
+        // The first logo is the main one unless another is marked
+        if (!content.logos.some(logo => logo.main)) {
+            content.logos[0].main = true;
+        }
+        return content;
+    }
+
+    function validateContent(content, url) {
+        const fail = (path, message) => {
+            throw new ContentError(`${path} ${message}`, url);
+        };
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const expectString = (value, path) => {
+            if (typeof value !== 'string' || value.trim() === '') fail(path, 'must be a non-empty string');
+        };
+        // Displayed texts: a string, or one string per language
+        const expectText = (value, path) => {
+            if (!isObject(value)) {
+                expectString(value, path);
+                return;
+            }
+            (content.languages || Object.keys(value)).forEach(language => {
+                if (value[language] === undefined) fail(path, `is missing "${language}"`);
+                expectString(value[language], `${path}.${language}`);
+            });
+        };
+        const expectTexts = (value, path) => {
+            if (!Array.isArray(value) || value.length === 0) fail(path, 'must be a non-empty list of texts');
+            value.forEach((item, i) => expectText(item, `${path}[${i}]`));
+        };
+        const expectNumber = (value, path) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'must be a number');
+        };
+
+        if (!isObject(content)) fail('content', 'must be an object with "sequences" and "logos"');
+        if (content.languages !== undefined) {
+            if (!Array.isArray(content.languages) || content.languages.length === 0) {
+                fail('languages', 'must be a non-empty list of language codes, e.g. ["fr", "nl", "en"]');
+            }
+            content.languages.forEach((language, i) => expectString(language, `languages[${i}]`));
+        }
+        if (!Array.isArray(content.sequences) || content.sequences.length === 0) {
+            fail('sequences', 'must be a non-empty list');
+        }
+        if (!Array.isArray(content.logos) || content.logos.length === 0) {
+            fail('logos', 'must be a non-empty list');
+        }
+
+        if (content.audio !== undefined) expectString(content.audio, 'audio');
+        if (content.theme !== undefined) {
+            try {
+                resolveTheme(content.theme);
+            } catch (error) {
+                fail('theme', `is invalid - ${error.message}`);
+            }
+        }
+
+        content.logos.forEach((logo, i) => {
+            const path = `logos[${i}]`;
+            if (!isObject(logo)) fail(path, 'must be an object with "src" and "alt"');
+            expectString(logo.src, `${path}.src`);
+            expectString(logo.alt, `${path}.alt`);
+            if (logo.position !== undefined && !isObject(logo.position)) {
+                fail(`${path}.position`, 'must be an object of CSS offsets, e.g. { "top": "15%", "left": "20%" }');
+            }
+        });
+
+        content.sequences.forEach((sequence, i) => {
+            const path = `sequences[${i}]`;
+            if (!isObject(sequence)) fail(path, 'must be an object');
+            if (!SEQUENCE_BUILDERS[sequence.type]) {
+                fail(`${path}.type`, `must be one of: ${Object.keys(SEQUENCE_BUILDERS).join(', ')}`);
+            }
+            expectNumber(sequence.duration, `${path}.duration`);
+            if (sequence.duration <= 0) fail(`${path}.duration`, 'must be greater than 0');
+
+            switch (sequence.type) {
+                case 'keywords':
+                    expectTexts(sequence.keywords, `${path}.keywords`);
+                    break;
+                case 'taglines':
+                    expectTexts(sequence.taglines, `${path}.taglines`);
+                    break;
+                case 'levers':
+                    if (!Array.isArray(sequence.levers) || sequence.levers.length === 0) {
+                        fail(`${path}.levers`, 'must be a non-empty list');
+                    }
+                    sequence.levers.forEach((lever, j) => {
+                        if (!isObject(lever)) fail(`${path}.levers[${j}]`, 'must be an object with "icon" and "label"');
+                        if (!LEVER_ICONS.includes(lever.icon)) {
+                            fail(`${path}.levers[${j}].icon`, `must be one of: ${LEVER_ICONS.join(', ')}`);
+                        }
+                        expectText(lever.label, `${path}.levers[${j}].label`);
+                    });
+                    break;
+                case 'impact':
+                    expectText(sequence.text, `${path}.text`);
+                    break;
+            }
+
+            // Scene behaviours (all optional)
+            if (sequence.network !== undefined && typeof sequence.network !== 'boolean') {
+                fail(`${path}.network`, 'must be true or false');
+            }
+            if (sequence.shapes !== undefined) expectNumber(sequence.shapes, `${path}.shapes`);
+            if (Array.isArray(sequence.camera) && isObject(sequence.camera[0])) {
+                sequence.camera.forEach((key, j) => {
+                    const keyPath = `${path}.camera[${j}]`;
+                    if (!isObject(key)) fail(keyPath, 'must be a keyframe { at, position, target, fov, ease }');
+                    expectNumber(key.at, `${keyPath}.at`);
+                    if (key.at < 0 || key.at > sequence.duration) fail(`${keyPath}.at`, 'must be within the sequence duration');
+                    ['position', 'target'].forEach(name => {
+                        if (key[name] === undefined && name === 'target') return;
+                        if (!Array.isArray(key[name]) || key[name].length !== 3) fail(`${keyPath}.${name}`, 'must be [x, y, z]');
+                        key[name].forEach((value, k) => expectNumber(value, `${keyPath}.${name}[${k}]`));
+                    });
+                    if (key.fov !== undefined) expectNumber(key.fov, `${keyPath}.fov`);
+                    if (key.ease !== undefined && !CAMERA_EASINGS[key.ease]) {
+                        fail(`${keyPath}.ease`, `must be one of: ${Object.keys(CAMERA_EASINGS).join(', ')}`);
+                    }
+                });
+            }
+            ['camera', 'bloom'].forEach(key => {
+                if (sequence[key] === undefined) return;
+                if (key === 'camera' && Array.isArray(sequence.camera) && isObject(sequence.camera[0])) return;
+                if (Array.isArray(sequence[key])) {
+                    if (sequence[key].length !== 2) fail(`${path}.${key}`, 'must be a number or [start, end]');
+                    sequence[key].forEach((value, j) => expectNumber(value, `${path}.${key}[${j}]`));
+                } else {
+                    expectNumber(sequence[key], `${path}.${key}`);
+                }
+            });
+            if (sequence.morph !== undefined) {
+                const morph = sequence.morph;
+                if (!isObject(morph) || (morph.text === undefined) === (morph.svg === undefined)) {
+                    fail(`${path}.morph`, 'must be an object with either "text" or "svg"');
+                }
+                if (morph.text !== undefined) expectText(morph.text, `${path}.morph.text`);
+                if (morph.svg !== undefined) expectString(morph.svg, `${path}.morph.svg`);
+                ['at', 'duration', 'release', 'width'].forEach(key => {
+                    if (morph[key] !== undefined) expectNumber(morph[key], `${path}.morph.${key}`);
+                });
+            }
+            if (sequence.logos !== undefined) {
+                const steps = Array.isArray(sequence.logos) ? sequence.logos : [{ at: 0, state: sequence.logos }];
+                steps.forEach((step, j) => {
+                    const stepPath = Array.isArray(sequence.logos) ? `${path}.logos[${j}]` : `${path}.logos`;
+                    if (!isObject(step)) fail(stepPath, 'must be an object with "at" and "state"');
+                    expectNumber(step.at, `${stepPath}.at`);
+                    if (!LOGO_STATES.includes(step.state)) {
+                        fail(Array.isArray(sequence.logos) ? `${stepPath}.state` : stepPath, `must be one of: ${LOGO_STATES.join(', ')}`);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Build the overlay DOM and the logo bar from the content, and turn the
+     * sequences into the timeline
+     * @param {Object} content - Validated content
+     */
+    function applyContent(content) {
+        initLanguages(content);
+        initTheme(content);
+        if (content.audio) CONFIG.audio.src = content.audio;
+
+        // Partners without a position are spread around the main logo
+        const partnerCount = content.logos.filter(logo => !logo.main).length;
+        let partnerIndex = 0;
+        cloudLogos = content.logos.map(logo => ({
+            logo,
+            position: logo.main ? null : (logo.position || getDefaultCloudPosition(partnerIndex++, partnerCount))
+        }));
+
+        const overlay = container.querySelector('.text-overlay');
+        overlay.replaceChildren();
+
+        CONFIG.timeline = content.sequences.map((sequence, index) => {
+            const el = createElement('div', `sequence seq-${index + 1} seq-${sequence.type}`, overlay);
+            SEQUENCE_BUILDERS[sequence.type](el, sequence, content);
+
+            const { name, duration, network, shapes, camera, bloom, morph, logos } = sequence;
+            const entry = { name: name || sequence.type, type: sequence.type, duration, element: `.seq-${index + 1}` };
+            Object.entries({ network, shapes, camera, bloom, morph, logos }).forEach(([key, value]) => {
+                if (value !== undefined) entry[key] = value;
+            });
+            return entry;
+        });
+
+        const logoContainer = container.querySelector('.logo-container');
+        logoContainer.replaceChildren();
+        const mainIndex = content.logos.findIndex(logo => logo.main);
+        const orderedLogos = [content.logos[mainIndex], ...content.logos.filter((logo, i) => i !== mainIndex)];
+        orderedLogos.forEach((logo, index) => {
+            logoContainer.appendChild(createLogoImage(logo, index, `logo-svg${logo.main ? ' logo-main' : ''}`));
+            if (logo.main) createElement('div', 'logo-separator', logoContainer);
+        });
+    }
+
+    function createElement(tag, className, parent) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (parent) parent.appendChild(el);
+        return el;
+    }
+
+    function createLogoImage(logo, index, className) {
+        const img = document.createElement('img');
+        img.src = logo.src;
+        img.alt = logo.alt;
+        img.className = className;
+        img.dataset.index = index;
+        return img;
+    }
+
+    /**
+     * Spread partner logos on an ellipse around the main logo
+     * @returns {Object} - CSS offsets
+     */
+    function getDefaultCloudPosition(index, count) {
+        const angle = -Math.PI * 0.75 + (index / count) * Math.PI * 2;
+        return {
+            top: `${(42 + Math.sin(angle) * 34).toFixed(1)}%`,
+            left: `${(42 + Math.cos(angle) * 36).toFixed(1)}%`
+        };
+    }
+
+    function showContentError(error) {
+        const panel = document.createElement('div');
+        panel.className = 'content-error';
+        panel.innerHTML = '<strong>Content file error</strong><pre></pre>';
+        panel.querySelector('pre').textContent = error.message;
+        container.appendChild(panel);
+    }
+
+    // ============================================
+    // Languages
+    // ============================================
+    let languages = [];         // Available languages, from the content file
+    let currentLanguage = null;
+    let autoLanguage = false;   // Switch language on every loop
+    let localizedNodes = [];    // { el, text } for every translatable element
+    let lastLoopIndex = -1;
+
+    function initLanguages(content) {
+        languages = content.languages || ['en'];
+        localizedNodes = [];
+
+        const requested = params.get('lang') || CONFIG.language;
+        autoLanguage = requested === 'auto';
+        currentLanguage = languages.includes(requested) ? requested : languages[0];
+        if (requested && !autoLanguage && requested !== currentLanguage) {
+            console.warn(`Language "${requested}" not in the content file, using "${currentLanguage}"`);
+        }
+        container.lang = currentLanguage;
+    }
+
+    /**
+     * @param {string|Object} text - A string, or one string per language
+     * @param {string} language
+     * @returns {string}
+     */
+    function localize(text, language = currentLanguage) {
+        if (typeof text === 'string') return text;
+        return text[language] ?? text[languages[0]] ?? Object.values(text)[0];
+    }
+
+    function setLocalizedText(el, text) {
+        localizedNodes.push({ el, text });
+        el.textContent = localize(text);
+    }
+
+    /**
+     * Switch the overlay language. Hidden sequences are updated directly, the
+     * visible one plays its exit animation, swaps text, and enters again.
+     * @param {string} language
+     */
+    function setLanguage(language) {
+        if (!languages.includes(language) || language === currentLanguage) return;
+
+        currentLanguage = language;
+        container.lang = language;
+
+        const activeEl = currentSequence >= 0 ? container.querySelector(timeline[currentSequence].element) : null;
+        const activeNodes = [];
+
+        localizedNodes.forEach(node => {
+            if (node.el.textContent === localize(node.text)) return;
+            if (activeEl && activeEl.contains(node.el)) {
+                activeNodes.push(node);
+            } else {
+                node.el.textContent = localize(node.text);
+            }
+        });
+
+        if (activeNodes.length > 0) {
+            const sequenceIndex = currentSequence;
+            activeEl.classList.add('exiting');
+            activeEl.classList.remove('active');
+
+            scheduleOnTimeline(0.6, () => {
+                activeNodes.forEach(node => {
+                    node.el.textContent = localize(node.text);
+                });
+                activeEl.classList.remove('exiting');
+                // The sequence may have ended meanwhile
+                if (currentSequence === sequenceIndex) {
+                    activeEl.classList.add('active');
+                }
+            });
+        }
+
+        console.log(`Language: ${language}${autoLanguage ? ' (auto)' : ''}`);
+    }
+
+    /**
+     * Track the loop iteration: 'loop' event when playback wraps, and in auto
+     * mode every iteration plays in the next language
+     * @param {number} elapsedTime
+     */
+    function updateLoop(elapsedTime) {
+        const loopIndex = Math.floor(elapsedTime / loopDuration);
+        if (loopIndex === lastLoopIndex) return;
+        if (lastLoopIndex >= 0) emit('loop', { index: loopIndex });
+        lastLoopIndex = loopIndex;
+
+        if (autoLanguage) {
+            setLanguage(languages[loopIndex % languages.length]);
+        }
+    }
+
+    /**
+     * Cycle through the languages, then auto mode
+     */
+    function cycleLanguage() {
+        if (autoLanguage) {
+            autoLanguage = false;
+            setLanguage(languages[0]);
+            return;
+        }
+        const nextIndex = languages.indexOf(currentLanguage) + 1;
+        if (nextIndex < languages.length) {
+            setLanguage(languages[nextIndex]);
+        } else {
+            autoLanguage = true;
+            lastLoopIndex = -1;
+            console.log('Language: auto (changes on every loop)');
+        }
+    }
+
+    // Keyboard shortcut: 'L' cycles the overlay language
+    listenKeyboard((e) => {
+        if (isEditingField(e)) return;
+        if ((e.key === 'l' || e.key === 'L') && languages.length > 0) {
+            cycleLanguage();
+        }
+    });
+
+    // ============================================
+    // Themes
+    // ============================================
+    // Palettes shared by the scene, the matrix rain and the CSS overlays.
+    // Light themes use normal blending: additive blending vanishes on a light background.
+    const THEMES = {
+        'sustain-dark': {
+            background: 0x0a1628,
+            primary: 0x00d4aa,
+            secondary: 0x4a9eff,
+            accent: 0x7c5cff,
+            white: 0xffffff,
+            text: 0xffffff,
+            overlaySecondary: 0x5eabff,   // Second color of the text gradients
+            fogDensity: 0.035,
+            blending: 'additive',
+            bloom: 1,
+            logoFilter: 'none'
+        },
+        'sustain-light': {
+            background: 0xf3f6fa,
+            primary: 0x00a383,
+            secondary: 0x2f7fe0,
+            accent: 0x6a4be0,
+            white: 0x0a1628,
+            text: 0x0a1628,
+            overlaySecondary: 0x2f7fe0,
+            fogDensity: 0.03,
+            blending: 'normal',
+            bloom: 0,  // Glow washes out a light background
+            logoFilter: 'invert(1) hue-rotate(180deg)'  // White logos become dark
+        },
+        'ulb': {
+            background: 0x041a33,
+            primary: 0x4fa3e0,
+            secondary: 0x004c93,
+            accent: 0x00d4aa,
+            white: 0xffffff,
+            text: 0xffffff,
+            overlaySecondary: 0x8cc4f0,
+            fogDensity: 0.035,
+            blending: 'additive',
+            bloom: 1,
+            logoFilter: 'none'
+        },
+        'vub': {
+            background: 0x0b1638,
+            primary: 0xff6600,
+            secondary: 0x3a6ee8,
+            accent: 0xffa366,
+            white: 0xffffff,
+            text: 0xffffff,
+            overlaySecondary: 0xffb380,
+            fogDensity: 0.035,
+            blending: 'additive',
+            bloom: 1,
+            logoFilter: 'none'
+        }
+    };
+    const THEME_COLOR_KEYS = ['background', 'primary', 'secondary', 'accent', 'white', 'text', 'overlaySecondary'];
+
+    let currentTheme = null;
+
+    /**
+     * Resolve a theme: a THEMES name, or an object extending one, e.g.
+     * { extends: 'sustain-dark', primary: '#e30613' } for a co-branded event.
+     * Colors may be numbers or CSS color strings.
+     * @param {string|Object} theme
+     * @returns {Object} - Palette with numeric colors
+     */
+    function resolveTheme(theme) {
+        const definition = typeof theme === 'string' ? { extends: theme } : theme;
+        const base = THEMES[definition.extends || 'sustain-dark'];
+        if (!base) {
+            throw new Error(`Unknown theme "${definition.extends}" (available: ${Object.keys(THEMES).join(', ')})`);
+        }
+
+        const palette = { ...base, ...definition };
+        delete palette.extends;
+        THEME_COLOR_KEYS.forEach(key => {
+            palette[key] = new THREE.Color(palette[key]).getHex();
+        });
+        return palette;
+    }
+
+    /**
+     * Pick the startup theme and apply it to the CSS. The scene reads
+     * CONFIG.colors while it is being created.
+     * @param {Object} content - Content file, may define a theme
+     */
+    function initTheme(content) {
+        const requested = params.get('theme') || content.theme || CONFIG.theme;
+        try {
+            CONFIG.colors = resolveTheme(requested);
+            currentTheme = requested;
+        } catch (error) {
+            console.warn(`${error.message}, using "${CONFIG.theme}"`);
+            CONFIG.colors = resolveTheme(CONFIG.theme);
+            currentTheme = CONFIG.theme;
+        }
+        applyThemeToCSS();
+    }
+
+    /**
+     * Switch theme at runtime: scene background and fog, particles, network,
+     * shapes, matrix rain and CSS custom properties in one step
+     * @param {string|Object} theme - Theme name or definition (see resolveTheme)
+     */
+    function setTheme(theme) {
+        CONFIG.colors = resolveTheme(theme);
+        currentTheme = theme;
+        applyThemeToCSS();
+        if (scene) applyThemeToScene();
+    }
+
+    function applyThemeToCSS() {
+        const colors = CONFIG.colors;
+        const rootStyle = container.style;
+        const hex = value => `#${new THREE.Color(value).getHexString()}`;
+
+        rootStyle.setProperty('--color-bg', hex(colors.background));
+        rootStyle.setProperty('--color-primary', hex(colors.primary));
+        rootStyle.setProperty('--color-secondary', hex(colors.overlaySecondary));
+        rootStyle.setProperty('--color-accent', hex(colors.accent));
+        rootStyle.setProperty('--color-text', hex(colors.text));
+        rootStyle.setProperty('--color-bg-rgb', toRGBTriplet(colors.background));
+        rootStyle.setProperty('--color-primary-rgb', toRGBTriplet(colors.primary));
+        rootStyle.setProperty('--color-text-rgb', toRGBTriplet(colors.text));
+        rootStyle.setProperty('--color-text-muted', `rgba(${toRGBTriplet(colors.text)}, 0.6)`);
+        rootStyle.setProperty('--logo-filter', colors.logoFilter);
+    }
+
+    function applyThemeToScene() {
+        const colors = CONFIG.colors;
+        const blending = getThemeBlending();
+
+        scene.background.set(colors.background);
+        scene.fog.color.set(colors.background);
+        scene.fog.density = colors.fogDensity;
+
+        // Layers (particles, network, shapes, matrix rain...)
+        applyThemeToLayers();
+
+        // Logo cloud
+        if (cloudAssembly) {
+            cloudAssembly.material.uniforms.uColor.value.set(colors.primary);
+            cloudAssembly.material.blending = blending;
+            recolorCloudLogos();
+        }
+    }
+
+    /**
+     * @returns {number} - THREE blending mode of the current theme
+     */
+    function getThemeBlending() {
+        return CONFIG.colors.blending === 'normal' ? THREE.NormalBlending : THREE.AdditiveBlending;
+    }
+
+    function toRGBTriplet(value) {
+        const color = new THREE.Color(value);
+        return [color.r, color.g, color.b].map(channel => Math.round(channel * 255)).join(', ');
+    }
+
+    // ============================================
+    // Output Profiles
+    // ============================================
+    // A profile is a target screen. Its resolution is the export size and the
+    // size the stage (canvas and overlays) is laid out at, scaled to fit the
+    // window, so the preview is the exported composition. It also frames the
+    // camera (vertical field of view, distance factor) and sizes the logo cloud.
+    const OUTPUT_PROFILES = {
+        landscape: {
+            label: '16:9',
+            width: 1920,
+            height: 1080,
+            fov: 60,
+            cameraScale: 1,
+            cloud: { width: 24, height: 16 }    // World size of the logo cloud
+        },
+        'led-wall': {
+            label: '32:9 LED wall',
+            width: 3840,
+            height: 1080,
+            fov: 45,                            // Narrower, wide angles distort at 32:9
+            cameraScale: 1.1,
+            cloud: { width: 40, height: 11 }
+        },
+        vertical: {
+            label: '9:16 totem',
+            width: 1080,
+            height: 1920,
+            fov: 75,                            // Wider, to keep some breadth
+            cameraScale: 1.2,
+            cloud: { width: 14, height: 22 }
+        },
+        square: {
+            label: '1:1 social',
+            width: 1080,
+            height: 1080,
+            fov: 65,
+            cameraScale: 1,
+            cloud: { width: 16, height: 16 }
+        }
+    };
+
+    let outputProfileName;
+    let outputProfile;
+    let stageScaled = false; // Named profile: the stage keeps the profile size
+    let stageSlice = { index: 0, count: 1 }; // Part of a wider stage shown by this window
+
+    function initOutputProfile() {
+        const requested = params.get('profile') || CONFIG.profile;
+        stageScaled = requested !== 'auto' && OUTPUT_PROFILES[requested] !== undefined;
+        if (requested !== 'auto' && !stageScaled) {
+            console.warn(`Unknown profile "${requested}" (available: ${Object.keys(OUTPUT_PROFILES).join(', ')}), using auto`);
+        }
+        container.classList.toggle('stage-scaled', stageScaled);
+        applyOutputProfile(stageScaled ? requested : getClosestProfile());
+
+        // ?slice=index/count: one of several screens side by side, each window
+        // renders its own screen of a stage count screens wide
+        const slice = params.get('slice');
+        if (slice) {
+            const match = slice.match(/^(\d+)\/(\d+)$/);
+            const index = match ? Number(match[1]) : 0;
+            const count = match ? Number(match[2]) : 0;
+            if (index >= 1 && index <= count) {
+                stageSlice = { index: index - 1, count };
+            } else {
+                console.warn(`Invalid slice "${slice}", expected index/count such as 1/3`);
+            }
+        }
+    }
+
+    /**
+     * @returns {string} - Name of the profile closest to the window shape
+     */
+    function getClosestProfile() {
+        const aspect = container.clientWidth / container.clientHeight;
+        const distance = name => Math.abs(Math.log(aspect * OUTPUT_PROFILES[name].height / OUTPUT_PROFILES[name].width));
+        return Object.keys(OUTPUT_PROFILES).reduce((best, name) => distance(name) < distance(best) ? name : best);
+    }
+
+    /**
+     * Switch the layout classes and the camera framing
+     * @param {string} name - OUTPUT_PROFILES key
+     */
+    function applyOutputProfile(name) {
+        if (name === outputProfileName) return;
+
+        container.classList.remove(`profile-${outputProfileName}`);
+        container.classList.add(`profile-${name}`);
+        outputProfileName = name;
+        outputProfile = OUTPUT_PROFILES[name];
+
+        if (camera) {
+            camera.fov = outputProfile.fov;
+            camera.updateProjectionMatrix();
+        }
+        // Logo cloud placement depends on the profile
+        if (cloudAssembly) {
+            cloudLogoGroups.forEach((group, index) => {
+                group.position.copy(getCloudLogoCenter(cloudLogos[index].position, group.userData.size)).setZ(group.position.z);
+            });
+            createCloudAssembly();
+        }
+    }
+
+    /**
+     * @returns {{width: number, height: number}} - Size of the screen this window
+     * renders (the WebGL canvas), in CSS pixels
+     */
+    function getSliceSize() {
+        if (stageScaled) {
+            return { width: outputProfile.width, height: outputProfile.height };
+        }
+        return { width: container.clientWidth, height: container.clientHeight };
+    }
+
+    /**
+     * @returns {{width: number, height: number}} - Stage size in CSS pixels,
+     * all the slices side by side
+     */
+    function getStageSize() {
+        const { width, height } = getSliceSize();
+        return { width: width * stageSlice.count, height };
+    }
+
+    /**
+     * Size the stage and scale it to fit the window, centred on this window's slice
+     * @returns {number} - Display scale of the stage
+     */
+    function layoutStage() {
+        const { width, height } = getStageSize();
+        const slice = getSliceSize();
+        const scale = Math.min(container.clientWidth / slice.width, container.clientHeight / slice.height);
+        // Shift from the stage centre to the slice centre
+        const offset = width / 2 - (stageSlice.index + 0.5) * slice.width;
+
+        const stage = container.querySelector('.stage');
+        stage.style.width = `${width}px`;
+        stage.style.height = `${height}px`;
+        stage.style.transform = `translate(-50%, -50%) scale(${scale}) translateX(${offset}px)`;
+
+        // The WebGL canvas only covers the slice
+        const canvasContainer = container.querySelector('.canvas-container');
+        canvasContainer.style.left = `${stageSlice.index * slice.width}px`;
+        canvasContainer.style.width = `${slice.width}px`;
+        return scale;
+    }
+
+    /**
+     * Frame the camera for the whole stage; a slice window renders its part
+     * of that view
+     * @param {number} width - Slice width in pixels
+     * @param {number} height
+     */
+    function updateCameraFraming(width, height) {
+        const { index, count } = stageSlice;
+        camera.aspect = width * count / height;
+        if (count > 1) {
+            camera.setViewOffset(width * count, height, index * width, 0, width, height);
+        }
+        camera.updateProjectionMatrix();
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+    function init() {
+        // Scene
+        scene = new THREE.Scene();
+        scene.background = new THREE.Color(CONFIG.colors.background);
+        scene.fog = new THREE.FogExp2(CONFIG.colors.background, CONFIG.colors.fogDensity);
+
+        // Output profile (stage size, camera framing)
+        initOutputProfile();
+
+        // Quality tier (resolution, counts, effects)
+        initQuality();
+        const stageScale = layoutStage();
+        const sliceSize = getSliceSize();
+
+        // Camera
+        camera = new THREE.PerspectiveCamera(outputProfile.fov, 1, 0.1, 1000);
+        updateCameraFraming(sliceSize.width, sliceSize.height);
+        camera.position.z = 30 * outputProfile.cameraScale;
+
+        // Renderer
+        renderer = new THREE.WebGLRenderer({
+            antialias: true,
+            alpha: true
+        });
+        renderer.setSize(sliceSize.width, sliceSize.height);
+        renderer.setPixelRatio(getRenderPixelRatio(stageScale));
+        container.querySelector('.canvas-container').appendChild(renderer.domElement);
+
+        // Post-processing (bloom, aberration, vignette, grain)
+        createPostProcessing();
+
+        // Multi-window sync (before the seed, which it may provide)
+        initSync();
+
+        // Commands from other windows and the remote
+        initControl();
+
+        // Random
+        initRandom();
+
+        // Timeline
+        buildTimeline();
+
+        // Clock (playback time is advanced by its delta, see animate())
+        clock = new THREE.Clock();
+        startTime = 0;
+
+        // Create elements
+        initLayers();
+        createAmbientLight();
+        initSVGLoader();
+        createLogoCloud3D();
+        loadMorphSources();
+        loadAudioTrack();
+
+        // Events
+        resizeObserver = new ResizeObserver(onResize);
+        resizeObserver.observe(container);
+
+        // Start animation
+        animate();
+    }
+
+    // ============================================
+    // Layers
+    // ============================================
+    // The scene elements behind the overlays, created and drawn in the order
+    // of CONFIG.layers. Each layer gets its own THREE.Group, whose renderOrder
+    // is the layer's place in the list: transparent layers stack in that order.
+    // A layer is an object with:
+    //   create(context)  - build its objects into context.group (required)
+    //   update(context)  - every frame: context.time, loopTime, duration, delta, sequence
+    //                      (motion periodic over duration keeps the loop seamless)
+    //   resize(context)  - stage, slice or export size changed: context.width, height
+    //   theme(context)   - theme switched: context.config.colors
+    //   dispose(context) - release what isn't under context.group (geometries,
+    //                      materials and textures there are disposed anyway)
+    // The context also holds THREE, scene, camera, renderer, config (CONFIG) and
+    // random (seeded per layer name). Layers can keep their state in it.
+    const BUILTIN_LAYERS = {
+        matrix: {
+            create: createMatrixBackground,
+            update: ({ loopTime }) => updateMatrixBackground(loopTime),
+            resize: layoutMatrixBackground,
+            theme: recolorMatrixBackground
+        },
+        particles: {
+            create: createParticles,
+            update: ({ time, loopTime }) => updateParticles(time, loopTime),
+            theme: recolorParticles
+        },
+        network: {
+            create: createNetwork,
+            update: ({ loopTime }) => updateNetwork(loopTime),
+            theme: recolorNetwork
+        },
+        shapes: {
+            create: createGeometricShapes,
+            update: ({ loopTime }) => updateGeometricShapes(loopTime),
+            theme: recolorGeometricShapes
+        }
+    };
+
+    let layers = [];    // { name, layer, context } in drawing order
+
+    /**
+     * Create the layers of ?layers= (comma-separated names) or CONFIG.layers
+     */
+    function initLayers() {
+        const requested = params.get('layers');
+        const list = requested !== null ? requested.split(',').map(name => name.trim()).filter(Boolean) : CONFIG.layers;
+
+        list.forEach((entry, index) => {
+            const isCustom = typeof entry === 'object';
+            const name = isCustom ? entry.name || `layer-${index}` : entry;
+            const layer = isCustom ? entry : BUILTIN_LAYERS[name] || registeredLayers.get(name);
+            if (!layer || typeof layer.create !== 'function') {
+                const available = [...Object.keys(BUILTIN_LAYERS), ...registeredLayers.keys()];
+                console.warn(`Unknown layer "${name}" (available: ${available.join(', ')}), skipped`);
+                return;
+            }
+            if (getLayer(name)) {
+                console.warn(`Layer "${name}" is listed twice, skipped`);
+                return;
+            }
+
+            const group = new THREE.Group();
+            group.name = name;
+            group.renderOrder = index;
+            scene.add(group);
+
+            const context = {
+                THREE, scene, camera, renderer, group,
+                config: CONFIG,
+                random: createLayoutRandom(`layer:${name}`),
+                time: 0, loopTime: 0, delta: 0, sequence: null,
+                ...getSliceSize()
+            };
+            layers.push({ name, layer, context });
+            layer.create(context);
+        });
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|undefined} - { name, layer, context } when the layer is shown
+     */
+    function getLayer(name) {
+        return layers.find(entry => entry.name === name);
+    }
+
+    /**
+     * Group of a built-in layer, for its create function
+     * @param {string} name
+     * @returns {THREE.Group}
+     */
+    function getLayerGroup(name) {
+        return getLayer(name).context.group;
+    }
+
+    /**
+     * @param {number} elapsedTime - Time in seconds since the start of playback
+     * @param {number} loopTime - Time within the loop
+     * @param {number} delta - Seconds since the previous frame (0 when paused)
+     */
+    function updateLayers(elapsedTime, loopTime, delta) {
+        const sequence = getSequenceAt(loopTime);
+        layers.forEach(({ layer, context }) => {
+            if (!layer.update) return;
+            Object.assign(context, { time: elapsedTime, loopTime, duration: loopDuration, delta, sequence });
+            layer.update(context);
+        });
+    }
+
+    /**
+     * @param {number} width - Render size in CSS pixels (the export size while exporting)
+     * @param {number} height
+     */
+    function resizeLayers(width, height) {
+        layers.forEach(({ layer, context }) => {
+            context.width = width;
+            context.height = height;
+            if (layer.resize) layer.resize(context);
+        });
+    }
+
+    function applyThemeToLayers() {
+        layers.forEach(({ layer, context }) => {
+            if (layer.theme) layer.theme(context);
+        });
+    }
+
+    function disposeLayers() {
+        layers.forEach(({ layer, context }) => {
+            if (layer.dispose) layer.dispose(context);
+        });
+        layers = [];
+    }
+
+    // ============================================
+    // Matrix Background (Very subtle)
+    // ============================================
+    // Glyph rain drawn behind the scene by one full-screen quad, from an atlas
+    // of MATRIX_CHARS. Every glyph is a function of the loop time and the
+    // seed (column start and speed, glyph changes): it falls at the same pace
+    // at any frame rate, and seeks and exports like the rest of the scene.
+    // The shader works in stage pixels, so slices of a wider stage continue
+    // each other's columns.
+    const MATRIX_TRAIL_LENGTH = 15;     // Glyphs per column, head first
+    const MATRIX_GLYPH_CHANGES = 0.6;   // Glyph changes per second and trail slot
+    const MATRIX_ATLAS_CELL = 64;       // Atlas cell size in pixels
+
+    function createMatrixBackground() {
+        const glyphs = Array.from(MATRIX_CHARS);
+        const atlasColumns = Math.ceil(Math.sqrt(glyphs.length));
+        const atlasRows = Math.ceil(glyphs.length / atlasColumns);
+
+        // White glyphs, baseline at 80% of the cell like the former 2D text
+        const canvas = document.createElement('canvas');
+        canvas.width = atlasColumns * MATRIX_ATLAS_CELL;
+        canvas.height = atlasRows * MATRIX_ATLAS_CELL;
+        const ctx = canvas.getContext('2d');
+        ctx.font = `${MATRIX_ATLAS_CELL}px monospace`;
+        ctx.fillStyle = '#ffffff';
+        glyphs.forEach((glyph, i) => {
+            const x = (i % atlasColumns) * MATRIX_ATLAS_CELL;
+            const y = Math.floor(i / atlasColumns) * MATRIX_ATLAS_CELL;
+            ctx.fillText(glyph, x, y + MATRIX_ATLAS_CELL * 0.8, MATRIX_ATLAS_CELL);
+        });
+        const atlas = new THREE.CanvasTexture(canvas);
+        atlas.flipY = false;
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uAtlas: { value: atlas },
+                uAtlasGrid: { value: new THREE.Vector2(atlasColumns, atlasRows) },
+                uGlyphCount: { value: glyphs.length },
+                uTime: { value: 0 },
+                uLoopDuration: { value: 1 },
+                uSeed: { value: createLayoutRandom('matrix')() * 1000 },
+                uFontSize: { value: MATRIX_CONFIG.fontSize },
+                uSpacing: { value: MATRIX_CONFIG.fontSize },
+                uSpeed: { value: MATRIX_CONFIG.speed },
+                uOpacity: { value: MATRIX_CONFIG.opacity },
+                uStageSize: { value: new THREE.Vector2(1, 1) },
+                uSliceOffset: { value: 0 },
+                uPixelScale: { value: 1 },
+                uHeadColor: { value: new THREE.Color(CONFIG.colors.white) },
+                uTrailColor: { value: new THREE.Color(CONFIG.colors.primary) }
+            },
+            vertexShader: `
+                // On the far plane: anything in the scene hides the rain
+                void main() {
+                    gl_Position = vec4(position.xy, 1.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                #define TRAIL_LENGTH ${MATRIX_TRAIL_LENGTH.toFixed(1)}
+                #define GLYPH_CHANGES ${MATRIX_GLYPH_CHANGES.toFixed(2)}
+
+                uniform sampler2D uAtlas;
+                uniform vec2 uAtlasGrid;
+                uniform float uGlyphCount;
+                uniform float uTime;
+                uniform float uLoopDuration;
+                uniform float uSeed;
+                uniform float uFontSize;
+                uniform float uSpacing;
+                uniform float uSpeed;
+                uniform float uOpacity;
+                uniform vec2 uStageSize;
+                uniform float uSliceOffset;
+                uniform float uPixelScale;
+                uniform vec3 uHeadColor;
+                uniform vec3 uTrailColor;
+
+                // Hash without sine (Dave Hoskins), stable for large inputs
+                float hash(vec2 p) {
+                    vec3 p3 = fract(vec3(p.xyx + uSeed) * 0.1031);
+                    p3 += dot(p3, p3.yzx + 33.33);
+                    return fract((p3.x + p3.y) * p3.z);
+                }
+
+                void main() {
+                    // Stage pixel, y down like the former 2D canvas
+                    vec2 pixel = vec2(
+                        gl_FragCoord.x / uPixelScale + uSliceOffset,
+                        uStageSize.y - gl_FragCoord.y / uPixelScale
+                    );
+                    float column = floor(pixel.x / uSpacing);
+                    float columnX = pixel.x - column * uSpacing;
+                    if (columnX > uFontSize || column >= floor(uStageSize.x / uSpacing)) discard;
+
+                    // Heads fall from 200px above the stage to 300px below it, then
+                    // start over. Speed factor 0.3-1, in pixels per frame at 60fps,
+                    // rounded to a whole number of falls per loop
+                    float speed = 60.0 * uSpeed * (0.3 + hash(vec2(column, 1.0)) * 0.7) * uFontSize;
+                    float cycle = uStageSize.y + 500.0;
+                    float falls = max(1.0, floor(speed * uLoopDuration / cycle + 0.5));
+                    float fall = hash(vec2(column, 2.0)) * uStageSize.y + 200.0 + falls * cycle * uTime / uLoopDuration;
+                    float head = mod(fall, cycle) - 200.0;
+
+                    // Trail slot (0 = head) and position in its glyph cell
+                    float slot = floor((head - pixel.y) / uFontSize + 0.2);
+                    if (slot < 0.0 || slot >= TRAIL_LENGTH) discard;
+                    vec2 cellUV = vec2(columnX / uFontSize, (pixel.y - head) / uFontSize + slot + 0.8);
+
+                    // Each slot switches glyph now and then, and on every new fall
+                    // (both counted within the loop)
+                    float slotKey = column * TRAIL_LENGTH + slot;
+                    float changes = max(1.0, floor(uLoopDuration * GLYPH_CHANGES * (0.5 + hash(vec2(slotKey, 3.0))) + 0.5));
+                    float change = mod(floor(uTime / uLoopDuration * changes + hash(vec2(slotKey, 4.0))), changes);
+                    float glyph = floor(hash(vec2(slotKey, change + mod(floor(fall / cycle), falls) * 97.0)) * uGlyphCount);
+                    vec2 atlasCell = vec2(mod(glyph, uAtlasGrid.x), floor(glyph / uAtlasGrid.x));
+                    float glyphAlpha = texture2D(uAtlas, (atlasCell + cellUV) / uAtlasGrid).a;
+
+                    // Head is brighter
+                    vec4 color = slot < 0.5 ? vec4(uHeadColor, 0.9)
+                        : slot < 2.5 ? vec4(uTrailColor, 1.0)
+                        : vec4(uTrailColor, max(0.1, 0.7 - slot / TRAIL_LENGTH));
+
+                    gl_FragColor = vec4(color.rgb, color.a * glyphAlpha * uOpacity);
+                    #include <colorspace_fragment>
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
+
+        matrixRain = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+        matrixRain.frustumCulled = false;
+        matrixRain.renderOrder = -1;   // First of the transparent objects
+        getLayerGroup('matrix').add(matrixRain);
+        layoutMatrixBackground();
+    }
+
+    /**
+     * Stage geometry for the shader, after any change of size, slice,
+     * quality tier or export resolution
+     */
+    function layoutMatrixBackground() {
+        if (!matrixRain) return;
+        const uniforms = matrixRain.material.uniforms;
+        const slice = getSliceSize();
+        const drawingSize = renderer.getDrawingBufferSize(new THREE.Vector2());
+
+        uniforms.uStageSize.value.set(slice.width * stageSlice.count, slice.height);
+        uniforms.uSliceOffset.value = stageSlice.index * slice.width;
+        uniforms.uPixelScale.value = drawingSize.y / slice.height;
+        uniforms.uSpacing.value = MATRIX_CONFIG.fontSize / qualityTier.matrix;
+    }
+
+    /**
+     * @param {number} loopTime - Time within the loop
+     */
+    function updateMatrixBackground(loopTime) {
+        const uniforms = matrixRain.material.uniforms;
+        uniforms.uTime.value = loopTime;
+        uniforms.uLoopDuration.value = loopDuration;
+        uniforms.uFontSize.value = MATRIX_CONFIG.fontSize;
+        uniforms.uSpeed.value = MATRIX_CONFIG.speed;
+        uniforms.uOpacity.value = MATRIX_CONFIG.opacity;
+    }
+
+    function recolorMatrixBackground() {
+        matrixRain.material.uniforms.uHeadColor.value.set(CONFIG.colors.white);
+        matrixRain.material.uniforms.uTrailColor.value.set(CONFIG.colors.primary);
+    }
+
+    // ============================================
+    // Particles System (Background data flow)
+    // ============================================
+    function createParticles() {
+        const random = createLayoutRandom('particles');
+
+        if (particles) {
+            particles.removeFromParent();
+            particles.geometry.dispose();
+            particlesMaterial.dispose();
+        }
+
+        const count = getParticleCount();
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(count * 3);
+        const velocities = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+
+        const colorIndices = new Uint8Array(count);
+        const colorOptions = getParticlePalette();
+
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+
+            // Position - spread in a large sphere
+            positions[i3] = (random() - 0.5) * 80;
+            positions[i3 + 1] = (random() - 0.5) * 80;
+            positions[i3 + 2] = (random() - 0.5) * 80;
+
+            // Velocity for animation
+            velocities[i3] = (random() - 0.5) * 0.02;
+            velocities[i3 + 1] = (random() - 0.5) * 0.02;
+            velocities[i3 + 2] = (random() - 0.5) * 0.02;
+
+            // Color (the palette slot is kept so themes can recolor)
+            colorIndices[i] = Math.floor(random() * colorOptions.length);
+            const color = colorOptions[colorIndices[i]];
+            colors[i3] = color.r;
+            colors[i3 + 1] = color.g;
+            colors[i3 + 2] = color.b;
+
+            // Size
+            sizes[i] = random() * CONFIG.particles.size + 0.5;
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        // Morphing: velocities scatter the particles as they leave a shape
+        geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
+        geometry.setAttribute('morphTarget', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setAttribute('morphDelay', new THREE.BufferAttribute(createMorphDelays(count), 1));
+        geometry.userData.colorIndices = colorIndices;
+        geometry.userData.morphKey = null;
+
+        // Shader material for particles
+        particlesMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uWave: { value: new THREE.Vector2() },
+                uOpacity: { value: 0.6 },
+                uMorph: { value: 0 }
+            },
+            vertexShader: `
+                attribute float size;
+                attribute vec3 velocity;
+                attribute vec3 morphTarget;
+                attribute float morphDelay;
+                varying vec3 vColor;
+                uniform float uTime;
+                uniform vec2 uWave;
+                uniform float uMorph;
+
+                void main() {
+                    vColor = color;
+                    vec3 pos = position;
+
+                    // Subtle wave motion (uWave: loop frequencies)
+                    pos.x += sin(uTime * uWave.x + position.y * 0.1) * 0.3;
+                    pos.y += cos(uTime * uWave.y + position.x * 0.1) * 0.3;
+
+                    // Morph towards the target shape (world space, it ignores the
+                    // field rotation), swirling along the velocity on the way
+                    vec4 worldPosition = modelMatrix * vec4(pos, 1.0);
+                    float morph = smoothstep(morphDelay, morphDelay + 0.6, uMorph);
+                    worldPosition.xyz = mix(worldPosition.xyz, morphTarget, morph)
+                        + velocity * 400.0 * morph * (1.0 - morph);
+
+                    vec4 mvPosition = viewMatrix * worldPosition;
+                    gl_PointSize = size * (300.0 / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                uniform float uOpacity;
+
+                void main() {
+                    float dist = distance(gl_PointCoord, vec2(0.5));
+                    if (dist > 0.5) discard;
+
+                    float alpha = smoothstep(0.5, 0.0, dist) * uOpacity;
+                    gl_FragColor = vec4(vColor, alpha);
+                }
+            `,
+            transparent: true,
+            vertexColors: true,
+            blending: CONFIG.colors.blending === 'normal' ? THREE.NormalBlending : THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        particles = new THREE.Points(geometry, particlesMaterial);
+        getLayerGroup('particles').add(particles);
+    }
+
+    function getParticlePalette() {
+        return [CONFIG.colors.primary, CONFIG.colors.secondary, CONFIG.colors.accent].map(color => new THREE.Color(color));
+    }
+
+    function recolorParticles() {
+        // Particles keep their palette slot, only the colors change
+        const palette = getParticlePalette();
+        const particleColors = particles.geometry.attributes.color;
+        particles.geometry.userData.colorIndices.forEach((colorIndex, i) => {
+            palette[colorIndex].toArray(particleColors.array, i * 3);
+        });
+        particleColors.needsUpdate = true;
+        particlesMaterial.blending = getThemeBlending();
+    }
+
+    // ============================================
+    // Particle Morphing
+    // ============================================
+    // A sequence can set "morph" to gather the particles into a shape: a text
+    // ({ text }) or the outline of an SVG ({ svg }). The particles flow in from
+    // "at", hold the shape, and disperse during the last "release" seconds.
+    // The blend runs in the particle vertex shader, driven by uMorph.
+    const MORPH_DEFAULTS = {
+        at: 0.3,        // Seconds into the sequence
+        duration: 1.5,  // Gathering time
+        release: 1.2,   // Dispersal time, ending with the sequence
+        width: 24       // Shape width in world units
+    };
+
+    const morphOutlines = new Map();        // SVG path -> { curves, bounds }
+    const morphTargets = new Map();         // Sequence (and language) -> target positions
+    let morphSourcesReady = Promise.resolve();
+    let morphSourcesLoaded = false;
+
+    /**
+     * Load the SVG outlines and wait for the web fonts used by text shapes
+     */
+    function loadMorphSources() {
+        const svgPaths = [...new Set(timeline.map(sequence => sequence.morph?.svg).filter(Boolean))];
+
+        morphSourcesReady = Promise.all([
+            document.fonts.ready,
+            ...svgPaths.map(path => svgLoader.loadAsync(path)
+                .then(data => morphOutlines.set(path, getSVGOutline(data)))
+                .catch(error => console.warn(`Morph shape "${path}" could not be loaded`, error)))
+        ]).then(() => {
+            morphSourcesLoaded = true;
+        });
+    }
+
+    /**
+     * Per-particle start offset of the morph, so particles don't move in lockstep
+     * @param {number} count
+     * @returns {Float32Array} - Delays in [0, 0.4] of the morph progress
+     */
+    function createMorphDelays(count) {
+        const random = createLayoutRandom('particles-morph');
+        return Float32Array.from({ length: count }, () => random() * 0.4);
+    }
+
+    /**
+     * Morph amount for the sequence at a given time, writing its target shape
+     * into the particles when it changes
+     * @param {number} loopTime - Time within the loop
+     * @returns {number} - 0 (free particles) to 1 (shape)
+     */
+    function getMorphProgress(loopTime) {
+        const sequence = getSequenceAt(loopTime);
+        if (!sequence.morph || !morphSourcesLoaded) return 0;
+
+        const morph = { ...MORPH_DEFAULTS, ...sequence.morph };
+        const target = getMorphTarget(sequence, morph);
+        if (!target) return 0;
+
+        const geometry = particles.geometry;
+        if (geometry.userData.morphKey !== target.key) {
+            geometry.attributes.morphTarget.array.set(target.positions);
+            geometry.attributes.morphTarget.needsUpdate = true;
+            geometry.userData.morphKey = target.key;
+        }
+
+        const gather = (loopTime - sequence.start - morph.at) / morph.duration;
+        const release = (sequence.end - loopTime) / morph.release;
+        return Math.max(0, Math.min(1, gather, release));
+    }
+
+    /**
+     * @param {Object} sequence - Timeline sequence with a morph
+     * @param {Object} morph - Morph settings with defaults applied
+     * @returns {{key: string, positions: Float32Array}|null} - One position per particle
+     */
+    function getMorphTarget(sequence, morph) {
+        // Text shapes follow the overlay language
+        const key = morph.text !== undefined ? `${sequence.index}:${currentLanguage}` : `${sequence.index}`;
+        if (morphTargets.has(key)) return morphTargets.get(key);
+
+        const random = createLayoutRandom(`morph:${key}`);
+        const count = getParticleCount();
+        let positions = null;
+
+        if (morph.text !== undefined) {
+            positions = sampleTextShape(localize(morph.text), count, morph.width, random);
+        } else if (morphOutlines.has(morph.svg)) {
+            positions = sampleOutlineShape(morphOutlines.get(morph.svg), count, morph.width, random);
+        }
+
+        const target = positions ? { key, positions } : null;
+        morphTargets.set(key, target);
+        return target;
+    }
+
+    /**
+     * Random points inside the letters of a text, drawn on a 2D canvas with the
+     * overlay font
+     * @returns {Float32Array}
+     */
+    function sampleTextShape(text, count, width, random) {
+        const fontSize = 120;
+        const fontFamily = getComputedStyle(container).getPropertyValue('--font-main');
+        const font = `700 ${fontSize}px ${fontFamily}`;
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.font = font;
+        canvas.width = Math.ceil(ctx.measureText(text).width) + fontSize * 0.2;
+        canvas.height = Math.ceil(fontSize * 1.4);
+        // Resizing the canvas resets its state
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const filled = [];
+        for (let y = 0; y < canvas.height; y++) {
+            for (let x = 0; x < canvas.width; x++) {
+                if (data[(y * canvas.width + x) * 4 + 3] > 128) filled.push(x, y);
+            }
+        }
+        if (filled.length === 0) return null;
+
+        const scale = width / canvas.width;
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const pixel = Math.floor(random() * filled.length / 2) * 2;
+            positions[i * 3] = (filled[pixel] + random() - canvas.width / 2) * scale;
+            positions[i * 3 + 1] = (canvas.height / 2 - filled[pixel + 1] - random()) * scale;
+            positions[i * 3 + 2] = (random() - 0.5) * 0.5;
+        }
+        return positions;
+    }
+
+    /**
+     * Outline curves of the filled shapes of an SVG, holes included
+     * @param {Object} data - SVGLoader result
+     * @returns {{curves: THREE.Path[], bounds: THREE.Box2}}
+     */
+    function getSVGOutline(data) {
+        const curves = [];
+        const bounds = new THREE.Box2();
+
+        data.paths.forEach(path => {
+            const fill = path.userData.style.fill;
+            if (fill === 'none' || fill === 'transparent') return;
+
+            SVGLoader.createShapes(path).forEach(shape => {
+                [shape, ...shape.holes].forEach(outline => {
+                    curves.push(outline);
+                    outline.getPoints().forEach(point => bounds.expandByPoint(point));
+                });
+            });
+        });
+        return { curves, bounds };
+    }
+
+    /**
+     * Random points along SVG outlines, spread by length
+     * @returns {Float32Array}
+     */
+    function sampleOutlineShape({ curves, bounds }, count, width, random) {
+        const lengths = curves.map(curve => curve.getLength());
+        const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+        if (totalLength === 0) return null;
+
+        const center = bounds.getCenter(new THREE.Vector2());
+        const scale = width / (bounds.max.x - bounds.min.x);
+        const positions = new Float32Array(count * 3);
+
+        for (let i = 0; i < count; i++) {
+            let distance = random() * totalLength;
+            let curveIndex = 0;
+            while (curveIndex < curves.length - 1 && distance > lengths[curveIndex]) {
+                distance -= lengths[curveIndex++];
+            }
+            const point = curves[curveIndex].getPointAt(Math.min(1, distance / lengths[curveIndex]));
+            positions[i * 3] = (point.x - center.x) * scale;
+            positions[i * 3 + 1] = (center.y - point.y) * scale; // SVG y points down
+            positions[i * 3 + 2] = (random() - 0.5) * 0.5;
+        }
+        return positions;
+    }
+
+    // ============================================
+    // Network Visualization (Ecosystem)
+    // ============================================
+    const NODE_FLOAT_AMPLITUDE = 0.3; // Floating motion offset on x and y
+
+    function createNetwork() {
+        const random = createLayoutRandom('network');
+        const count = getNodeCount();
+
+        if (networkNodeMesh) {
+            networkNodeMesh.removeFromParent();
+            networkNodeMesh.geometry.dispose();
+            networkNodeMesh.material.dispose();
+        }
+
+        // All nodes are drawn in one call, with a per-instance opacity
+        const nodeGeometry = new THREE.SphereGeometry(0.15, 16, 16);
+        nodeGeometry.setAttribute('instanceOpacity',
+            new THREE.InstancedBufferAttribute(new Float32Array(count), 1).setUsage(THREE.DynamicDrawUsage));
+
+        const nodeMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                { uColor: { value: new THREE.Color(CONFIG.colors.primary) } }
+            ]),
+            vertexShader: `
+                attribute float instanceOpacity;
+                varying float vOpacity;
+                #include <fog_pars_vertex>
+
+                void main() {
+                    vOpacity = instanceOpacity;
+                    vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    #include <fog_vertex>
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 uColor;
+                varying float vOpacity;
+                #include <fog_pars_fragment>
+
+                void main() {
+                    gl_FragColor = vec4(uColor, vOpacity);
+                    #include <fog_fragment>
+                }
+            `,
+            transparent: true,
+            fog: true
+        });
+
+        networkNodeMesh = new THREE.InstancedMesh(nodeGeometry, nodeMaterial, count);
+        networkNodeMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        networkNodeMesh.frustumCulled = false;
+        getLayerGroup('network').add(networkNodeMesh);
+
+        // Create nodes
+        networkNodes = [];
+        for (let i = 0; i < count; i++) {
+            // Distribute nodes in 3D space
+            const theta = random() * Math.PI * 2;
+            const phi = Math.acos((random() * 2) - 1);
+            const radius = 8 + random() * 14;
+
+            const position = new THREE.Vector3(
+                radius * Math.sin(phi) * Math.cos(theta),
+                radius * Math.sin(phi) * Math.sin(theta),
+                radius * Math.cos(phi) - 5
+            );
+
+            networkNodes.push({
+                position,
+                userData: {
+                    originalPosition: position.clone(),
+                    phase: random() * Math.PI * 2,
+                    speed: 0.5 + random() * 0.5
+                }
+            });
+        }
+
+        // Initialize connections and their line buffer
+        initNetworkConnections();
+        createNetworkLines();
+    }
+
+    // Connection lifecycle (seconds). Births follow the former 2% chance per
+    // 60fps frame, i.e. a Poisson process of rate -ln(0.98) * 60
+    const CONNECTION_LIFECYCLE = {
+        birthRate: -Math.log(0.98) * 60,
+        lifetime: [1.5, 4.5],
+        cooldown: [0.5, 2],
+        fadeIn: 1.2,
+        fadeOut: 0.8
+    };
+
+    /**
+     * Only pairs that can ever come within connectionDistance are tracked. Nodes
+     * float around a fixed original position, so candidates are found once with a
+     * uniform grid: each node is compared with nodes in its 27 neighbouring cells.
+     */
+    function initNetworkConnections() {
+        // Two nodes can each drift by the float amplitude on x and y
+        const reach = CONFIG.network.connectionDistance + 2 * Math.SQRT2 * NODE_FLOAT_AMPLITUDE;
+        const reachSq = reach * reach;
+        const cellOf = value => Math.floor(value / reach);
+
+        const grid = new Map();
+        networkNodes.forEach((node, i) => {
+            const { x, y, z } = node.userData.originalPosition;
+            const key = `${cellOf(x)},${cellOf(y)},${cellOf(z)}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(i);
+        });
+
+        networkConnections = [];
+        networkNodes.forEach((node, i) => {
+            const origin = node.userData.originalPosition;
+            const cx = cellOf(origin.x);
+            const cy = cellOf(origin.y);
+            const cz = cellOf(origin.z);
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const cell = grid.get(`${cx + dx},${cy + dy},${cz + dz}`);
+                        if (!cell) continue;
+
+                        cell.forEach(j => {
+                            if (j <= i) return;
+                            if (origin.distanceToSquared(networkNodes[j].userData.originalPosition) > reachSq) return;
+                            networkConnections.push({
+                                nodeA: i,
+                                nodeB: j,
+                                phase: randomAt(i, j) * Math.PI * 2, // For subtle pulsing
+                                currentOpacity: 0
+                            });
+                        });
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Age of a connection at a given time within a network span, or -1 when it
+     * is not alive. Each connection runs through cycles of (wait, life, cooldown)
+     * drawn from the seed, so the result depends only on time, never on frame rate.
+     * @param {Object} conn - Connection (keyed on its node pair, stable whatever the candidates)
+     * @param {number} spanIndex - Network span index (each span gets its own pattern)
+     * @param {number} spanTime - Time since the span started
+     * @returns {{age: number, lifetime: number}|null}
+     */
+    function getConnectionLife(conn, spanIndex, spanTime) {
+        const { birthRate, lifetime, cooldown } = CONNECTION_LIFECYCLE;
+        const { nodeA, nodeB } = conn;
+        let cursor = 0;
+
+        for (let cycle = 0; cursor <= spanTime; cycle++) {
+            const wait = -Math.log(1 - randomAt(nodeA, nodeB, spanIndex, cycle, 0)) / birthRate;
+            const life = lifetime[0] + randomAt(nodeA, nodeB, spanIndex, cycle, 1) * (lifetime[1] - lifetime[0]);
+            const birth = cursor + wait;
+
+            if (spanTime < birth) return null;
+            if (spanTime < birth + life) return { age: spanTime - birth, lifetime: life };
+
+            cursor = birth + life + cooldown[0] + randomAt(nodeA, nodeB, spanIndex, cycle, 2) * (cooldown[1] - cooldown[0]);
+        }
+        return null;
+    }
+
+    /**
+     * @param {number} baseOpacity - Network opacity
+     * @param {Object|null} span - Current network span, with its index
+     * @param {number} spanTime - Loop time on the span's side of the loop point
+     * @param {number} loopTime - Time within the loop
+     */
+    function updateNetworkConnections(baseOpacity, span, spanTime, loopTime) {
+        const { fadeIn, fadeOut } = CONNECTION_LIFECYCLE;
+        const audioLevel = getAudioLevel(loopTime);
+
+        networkConnections.forEach(conn => {
+            conn.currentOpacity = 0;
+            if (!span || baseOpacity <= 0) return;
+
+            const nodeA = networkNodes[conn.nodeA];
+            const nodeB = networkNodes[conn.nodeB];
+            const distance = nodeA.position.distanceTo(nodeB.position);
+            if (distance >= CONFIG.network.connectionDistance) return;
+
+            const life = getConnectionLife(conn, span.index, spanTime - span.start);
+            if (!life) return;
+
+            // Closer connections are more visible
+            const distanceFactor = 1 - (distance / CONFIG.network.connectionDistance);
+
+            // Fade in/out over the connection lifetime
+            const fadeOutStart = life.lifetime - fadeOut;
+            let lifeFactor = 1;
+            if (life.age < fadeIn) {
+                // Slow fade in with smooth step easing
+                const t = life.age / fadeIn;
+                lifeFactor = t * t * (3 - 2 * t);
+            } else if (life.age > fadeOutStart) {
+                // Ease in for fade out
+                const t = (life.age - fadeOutStart) / fadeOut;
+                lifeFactor = 1 - (t * t);
+            }
+
+            // Subtle pulsing
+            const pulse = (0.85 + Math.sin(loopTime * getLoopFrequency(0.8) + conn.phase) * 0.15) * (1 + audioLevel * CONFIG.audio.reactive.pulse);
+
+            const opacity = baseOpacity * distanceFactor * 0.7 * lifeFactor * pulse;
+            conn.currentOpacity = opacity < 0.001 ? 0 : opacity;
+        });
+
+        // Write the visible connections into the line buffer
+        updateNetworkLines();
+    }
+
+    /**
+     * Allocate the line buffer once, with room for every connection. Each frame
+     * only rewrites positions and opacities of the visible connections in place.
+     */
+    function createNetworkLines() {
+        if (networkLines) {
+            networkLines.removeFromParent();
+            networkLines.geometry.dispose();
+            networkLines.material.dispose();
+        }
+
+        const capacity = networkConnections.length * 2; // Two vertices per connection
+        const positions = new Float32Array(capacity * 3);
+        const colors = new Float32Array(capacity * 3);
+        const opacities = new Float32Array(capacity);
+
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+        lineGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        writeNetworkLineColors(lineGeometry.attributes.color);
+        lineGeometry.setAttribute('opacity', new THREE.BufferAttribute(opacities, 1).setUsage(THREE.DynamicDrawUsage));
+        lineGeometry.setDrawRange(0, 0);
+
+        const lineMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+            vertexShader: `
+                attribute float opacity;
+                varying vec3 vColor;
+                varying float vOpacity;
+                #include <fog_pars_vertex>
+
+                void main() {
+                    vColor = color;
+                    vOpacity = opacity;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    #include <fog_vertex>
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vOpacity;
+                #include <fog_pars_fragment>
+
+                void main() {
+                    gl_FragColor = vec4(vColor, vOpacity);
+                    #include <fog_fragment>
+                }
+            `,
+            vertexColors: true,
+            transparent: true,
+            fog: true,
+            blending: CONFIG.colors.blending === 'normal' ? THREE.NormalBlending : THREE.AdditiveBlending
+        });
+
+        networkLines = new THREE.LineSegments(lineGeometry, lineMaterial);
+        // Positions change every frame, bounds would be stale
+        networkLines.frustumCulled = false;
+        getLayerGroup('network').add(networkLines);
+    }
+
+    /**
+     * Gradient from primary (node A) to secondary (node B), the same for every slot
+     * @param {THREE.BufferAttribute} colorAttribute
+     */
+    function writeNetworkLineColors(colorAttribute) {
+        const colorPrimary = new THREE.Color(CONFIG.colors.primary);
+        const colorSecondary = new THREE.Color(CONFIG.colors.secondary);
+        for (let i = 0; i < colorAttribute.count; i += 2) {
+            colorPrimary.toArray(colorAttribute.array, i * 3);
+            colorSecondary.toArray(colorAttribute.array, (i + 1) * 3);
+        }
+        colorAttribute.needsUpdate = true;
+    }
+
+    function recolorNetwork() {
+        networkNodeMesh.material.uniforms.uColor.value.set(CONFIG.colors.primary);
+        writeNetworkLineColors(networkLines.geometry.attributes.color);
+        networkLines.material.blending = getThemeBlending();
+    }
+
+    function updateNetworkLines() {
+        const geometry = networkLines.geometry;
+        const positions = geometry.attributes.position.array;
+        const opacities = geometry.attributes.opacity.array;
+        let vertex = 0;
+
+        // Pack visible connections at the start of the buffer
+        networkConnections.forEach(conn => {
+            if (conn.currentOpacity <= 0.001) return;
+
+            networkNodes[conn.nodeA].position.toArray(positions, vertex * 3);
+            networkNodes[conn.nodeB].position.toArray(positions, (vertex + 1) * 3);
+            opacities[vertex] = conn.currentOpacity;
+            opacities[vertex + 1] = conn.currentOpacity;
+            vertex += 2;
+        });
+
+        geometry.setDrawRange(0, vertex);
+        if (vertex > 0) {
+            geometry.attributes.position.addUpdateRange(0, vertex * 3);
+            geometry.attributes.opacity.addUpdateRange(0, vertex);
+            geometry.attributes.position.needsUpdate = true;
+            geometry.attributes.opacity.needsUpdate = true;
+        }
+    }
+
+    // ============================================
+    // Geometric Shapes (Abstract representations)
+    // ============================================
+    function createGeometricShapes() {
+        const random = createLayoutRandom('shapes');
+        const group = getLayerGroup('shapes');
+        // Hexagons representing structure
+        const hexagonShape = createHexagonGeometry(1.5);
+        const hexMaterial = new THREE.LineBasicMaterial({
+            color: CONFIG.colors.primary,
+            transparent: true,
+            opacity: 0
+        });
+
+        for (let i = 0; i < 5; i++) {
+            const hex = new THREE.LineLoop(hexagonShape.clone(), hexMaterial.clone());
+            hex.position.set(
+                (random() - 0.5) * 40,
+                (random() - 0.5) * 30,
+                -10 - random() * 20
+            );
+            hex.rotation.z = random() * Math.PI;
+            hex.userData = {
+                initialRotation: hex.rotation.z,
+                symmetry: Math.PI / 3,
+                rotationSpeed: (random() - 0.5) * 0.005,
+                originalOpacity: 0.3 + random() * 0.3,
+                phase: random() * Math.PI * 2
+            };
+            geometricShapes.push(hex);
+            group.add(hex);
+        }
+
+        // Circles representing cycles/processes
+        for (let i = 0; i < 4; i++) {
+            const circleGeometry = new THREE.RingGeometry(1, 1.1, 64);
+            const circleMaterial = new THREE.MeshBasicMaterial({
+                color: CONFIG.colors.secondary,
+                transparent: true,
+                opacity: 0,
+                side: THREE.DoubleSide
+            });
+            const circle = new THREE.Mesh(circleGeometry, circleMaterial);
+            circle.position.set(
+                (random() - 0.5) * 35,
+                (random() - 0.5) * 25,
+                -15 - random() * 15
+            );
+            circle.userData = {
+                initialRotation: 0,
+                symmetry: Math.PI * 2,
+                rotationSpeed: (random() - 0.5) * 0.003,
+                pulseSpeed: 1 + random(),
+                originalOpacity: 0.2 + random() * 0.2,
+                phase: random() * Math.PI * 2
+            };
+            geometricShapes.push(circle);
+            group.add(circle);
+        }
+    }
+
+    function recolorGeometricShapes() {
+        // Hexagons use the primary color, circles the secondary
+        geometricShapes.forEach(shape => {
+            shape.material.color.set(shape.isLineLoop ? CONFIG.colors.primary : CONFIG.colors.secondary);
+        });
+    }
+
+    function createHexagonGeometry(radius) {
+        const points = [];
+        for (let i = 0; i < 6; i++) {
+            const angle = (i / 6) * Math.PI * 2 - Math.PI / 2;
+            points.push(new THREE.Vector3(
+                Math.cos(angle) * radius,
+                Math.sin(angle) * radius,
+                0
+            ));
+        }
+        points.push(points[0].clone()); // Close the loop
+        return new THREE.BufferGeometry().setFromPoints(points);
+    }
+
+    // ============================================
+    // SVG Loading and Display
+    // ============================================
+    function initSVGLoader() {
+        svgLoader = new SVGLoader();
+    }
+
+    /**
+     * Load an SVG file and add it to the scene
+     * @param {string} path - Path to the SVG file (e.g., 'assets/svg/icon.svg')
+     * @param {Object} options - Configuration options
+     * @param {number} options.scale - Scale factor (default: 0.01)
+     * @param {number} options.height - Height in world units, overrides scale (default: none)
+     * @param {THREE.Vector3} options.position - Position in 3D space (default: 0,0,0)
+     * @param {number} options.color - Color override (default: uses SVG colors)
+     * @param {number} options.opacity - Opacity (default: 1)
+     * @param {boolean} options.centerOrigin - Center the SVG on its origin (default: true)
+     * @param {number} options.depth - Extrusion depth in world units, 0 for flat shapes (default: 0)
+     * @param {boolean} options.bevel - Bevel the extruded edges (default: false)
+     * @param {number} options.curveSegments - Segments per curve, raise for large renders (default: 12)
+     * @returns {Promise<THREE.Group>} - The loaded SVG group
+     */
+    function loadSVG(path, options = {}) {
+        const {
+            scale: fixedScale = 0.01,
+            height = null,
+            position = new THREE.Vector3(0, 0, 0),
+            color = null,
+            opacity = 1,
+            centerOrigin = true,
+            depth = 0,
+            bevel = false,
+            curveSegments = 12
+        } = options;
+
+        return new Promise((resolve, reject) => {
+            svgLoader.load(
+                path,
+                (data) => {
+                    // Loaded after dispose(): build nothing into the freed scene
+                    if (disposed) {
+                        reject(new Error(`SVG "${path}" loaded after dispose`));
+                        return;
+                    }
+                    const group = new THREE.Group();
+
+                    // Collect filled shapes and their bounding box first: the scale
+                    // (and so the extrusion depth in SVG units) depends on it
+                    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+                    const filledShapes = [];
+
+                    data.paths.forEach((path) => {
+                        const fill = path.userData.style.fill;
+                        if (fill === 'none' || fill === 'transparent') return;
+
+                        SVGLoader.createShapes(path).forEach((shape) => {
+                            shape.getPoints(curveSegments).forEach(p => {
+                                minX = Math.min(minX, p.x);
+                                minY = Math.min(minY, p.y);
+                                maxX = Math.max(maxX, p.x);
+                                maxY = Math.max(maxY, p.y);
+                            });
+                            filledShapes.push({ shape, path });
+                        });
+                    });
+
+                    const scale = height ? height / (maxY - minY) : fixedScale;
+                    const extrusion = depth / scale;
+
+                    filledShapes.forEach(({ shape, path }, order) => {
+                        const meshColor = color !== null ? color : (path.color ? path.color : CONFIG.colors.primary);
+                        const createMaterial = (materialColor) => new THREE.MeshBasicMaterial({
+                            color: materialColor,
+                            side: THREE.DoubleSide,
+                            transparent: true,
+                            opacity: opacity,
+                            // Flat shapes share one plane: draw them in document order instead
+                            depthWrite: extrusion > 0
+                        });
+
+                        let mesh;
+                        if (extrusion > 0) {
+                            const geometry = new THREE.ExtrudeGeometry(shape, {
+                                depth: extrusion,
+                                curveSegments,
+                                bevelEnabled: bevel,
+                                bevelThickness: extrusion * 0.15,
+                                bevelSize: extrusion * 0.08,
+                                bevelSegments: 3
+                            });
+                            // Unlit materials: darker sides give the extrusion its volume
+                            const sideColor = new THREE.Color(meshColor).multiplyScalar(0.45);
+                            mesh = new THREE.Mesh(geometry, [createMaterial(meshColor), createMaterial(sideColor)]);
+                            // Later paths sit slightly in front of the ones they cover
+                            mesh.position.z = order * extrusion * 0.02;
+                        } else {
+                            mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape, curveSegments), createMaterial(meshColor));
+                            mesh.renderOrder = order;
+                        }
+                        group.add(mesh);
+                    });
+
+                    // Center the SVG if requested
+                    if (centerOrigin) {
+                        const centerX = (minX + maxX) / 2;
+                        const centerY = (minY + maxY) / 2;
+                        group.children.forEach(child => {
+                            child.position.x -= centerX;
+                            child.position.y -= centerY;
+                        });
+                    }
+
+                    // Apply transformations
+                    group.scale.set(scale, -scale, scale); // Flip Y for correct orientation
+                    group.position.copy(position);
+                    group.userData.size = new THREE.Vector2((maxX - minX) * scale, (maxY - minY) * scale);
+
+                    // Store reference and add to scene
+                    svgGroups.push(group);
+                    scene.add(group);
+
+                    console.log(`SVG loaded: ${path}`);
+                    resolve(group);
+                },
+                (xhr) => {
+                    // Progress callback
+                    console.log(`Loading SVG: ${(xhr.loaded / xhr.total * 100).toFixed(0)}%`);
+                },
+                (error) => {
+                    console.error(`Error loading SVG: ${path}`, error);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Load multiple SVGs at once
+     * @param {Array} svgConfigs - Array of {path, options} objects
+     * @returns {Promise<THREE.Group[]>} - Array of loaded SVG groups
+     */
+    function loadMultipleSVGs(svgConfigs) {
+        return Promise.all(svgConfigs.map(config => loadSVG(config.path, config.options)));
+    }
+
+    /**
+     * Remove an SVG group from the scene
+     * @param {THREE.Group} group - The SVG group to remove
+     */
+    function removeSVG(group) {
+        const index = svgGroups.indexOf(group);
+        if (index > -1) {
+            svgGroups.splice(index, 1);
+            scene.remove(group);
+            // Dispose geometries and materials
+            group.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) [].concat(child.material).forEach(material => material.dispose());
+            });
+        }
+    }
+
+    /**
+     * Update SVG opacity (useful for animations)
+     * @param {THREE.Group} group - The SVG group
+     * @param {number} opacity - New opacity value (0-1)
+     */
+    function setSVGOpacity(group, opacity) {
+        group.traverse((child) => {
+            if (child.material) {
+                [].concat(child.material).forEach(material => {
+                    material.opacity = opacity;
+                });
+            }
+        });
+        // Fully faded groups are skipped by the renderer
+        group.visible = opacity > 0;
+    }
+
+    // ============================================
+    // Logo Cloud (WebGL)
+    // ============================================
+    // The logo cloud sequence drawn with loadSVG instead of the overlay images.
+    // Everything is a function of the time within the sequence, so it seeks and
+    // exports like the rest of the scene.
+    // The cloud's world size comes from the output profile
+    const LOGO_CLOUD = {
+        mainHeight: 3,
+        partnerHeight: 2,
+        assemblyStart: 0.2,     // Seconds into the sequence
+        assemblyDuration: 1.2,  // Flight of one point
+        assemblySpread: 0.8,    // Departures spread over this many seconds
+        stagger: 0.1,           // Delay between logos, as in the overlay
+        fade: 0.8               // Logo fade in / out
+    };
+
+    let cloudLogoGroups = [];   // Loaded SVG group per cloud logo
+    let cloudAssembly = null;   // Points flying into the logos
+    let logos3DReady = Promise.resolve();
+
+    function createLogoCloud3D() {
+        const logos3d = params.get('logos3d');
+        if (!CONFIG.logos3D.enabled || logos3d === 'off') return;
+        if (!timeline.some(sequence => sequence.type === 'logo-cloud')) return;
+
+        const { depth, bevel } = CONFIG.logos3D;
+        logos3DReady = Promise.allSettled(cloudLogos.map(({ logo }) => loadSVG(logo.src, {
+            height: logo.main ? LOGO_CLOUD.mainHeight : LOGO_CLOUD.partnerHeight,
+            opacity: 0,
+            depth,
+            bevel,
+            curveSegments: 24 // Smooth curves at 4K
+        }))).then(results => {
+            if (disposed) {
+                results.forEach(result => result.status === 'fulfilled' && removeSVG(result.value));
+                return;
+            }
+            const failed = results.find(result => result.status === 'rejected');
+            if (failed) {
+                results.forEach(result => result.status === 'fulfilled' && removeSVG(result.value));
+                console.warn('3D logo cloud unavailable, keeping the overlay logos', failed.reason);
+                return;
+            }
+
+            cloudLogoGroups = results.map(({ value: group }, index) => {
+                group.position.copy(getCloudLogoCenter(cloudLogos[index].position, group.userData.size));
+                group.position.z = -depth / 2;
+                group.traverse(child => {
+                    if (!child.material) return;
+                    [].concat(child.material).forEach(material => {
+                        material.userData.svgColor = material.color.getHex();
+                    });
+                });
+                setSVGOpacity(group, 0);
+                return group;
+            });
+            recolorCloudLogos();
+            createCloudAssembly();
+
+            // The overlay keeps its layout, only its images are hidden
+            container.querySelectorAll('.seq-logo-cloud').forEach(el => el.classList.add('logos-3d'));
+        });
+    }
+
+    /**
+     * Place a logo where the overlay would: CSS offsets are percentages of the cloud
+     * @param {Object|null} position - CSS offsets (top/bottom, left/right), null for the centre
+     * @param {THREE.Vector2} size - Logo size in world units
+     * @returns {THREE.Vector3}
+     */
+    function getCloudLogoCenter(position, size) {
+        const { width, height } = outputProfile.cloud;
+        const center = new THREE.Vector3();
+        if (!position) return center;
+
+        const percent = value => parseFloat(value) / 100;
+        if (position.left !== undefined) {
+            center.x = -width / 2 + percent(position.left) * width + size.x / 2;
+        } else if (position.right !== undefined) {
+            center.x = width / 2 - percent(position.right) * width - size.x / 2;
+        }
+        if (position.top !== undefined) {
+            center.y = height / 2 - percent(position.top) * height - size.y / 2;
+        } else if (position.bottom !== undefined) {
+            center.y = -height / 2 + percent(position.bottom) * height + size.y / 2;
+        }
+        return center;
+    }
+
+    /**
+     * SVG colors, or their lightness inverted when the theme adapts logos to a
+     * light background (the WebGL counterpart of its CSS logo filter)
+     */
+    function recolorCloudLogos() {
+        const invert = CONFIG.colors.logoFilter !== 'none';
+        const hsl = {};
+        cloudLogoGroups.forEach(group => group.traverse(child => {
+            if (!child.material) return;
+            [].concat(child.material).forEach(material => {
+                material.color.set(material.userData.svgColor);
+                if (invert) {
+                    material.color.getHSL(hsl);
+                    material.color.setHSL(hsl.h, hsl.s, 1 - hsl.l);
+                }
+            });
+        }));
+    }
+
+    /**
+     * Points spread over the logo surfaces. Each point flies from a network node
+     * (or a background particle) to its place on the logo, then the logo fades in.
+     */
+    function createCloudAssembly() {
+        const random = createLayoutRandom('logo-cloud');
+
+        if (cloudAssembly) {
+            scene.remove(cloudAssembly);
+            cloudAssembly.geometry.dispose();
+            cloudAssembly.material.dispose();
+        }
+
+        const perLogo = CONFIG.logos3D.pointsPerLogo;
+        const count = perLogo * cloudLogoGroups.length;
+        const targets = new Float32Array(count * 3);
+        const delays = new Float32Array(count);
+
+        cloudLogoGroups.forEach((group, logoIndex) => {
+            sampleSVGSurface(group, perLogo, random).forEach((point, i) => {
+                const index = logoIndex * perLogo + i;
+                point.toArray(targets, index * 3);
+                delays[index] = random() * LOGO_CLOUD.assemblySpread;
+            });
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('opacity', new THREE.BufferAttribute(new Float32Array(count), 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.userData = { targets, delays, perLogo };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uColor: { value: new THREE.Color(CONFIG.colors.primary) },
+                uSize: { value: 1.6 }
+            },
+            vertexShader: `
+                attribute float opacity;
+                uniform float uSize;
+                varying float vOpacity;
+
+                void main() {
+                    vOpacity = opacity;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_PointSize = uSize * (300.0 / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 uColor;
+                varying float vOpacity;
+
+                void main() {
+                    float dist = distance(gl_PointCoord, vec2(0.5));
+                    if (dist > 0.5) discard;
+                    gl_FragColor = vec4(uColor, smoothstep(0.5, 0.0, dist) * vOpacity);
+                }
+            `,
+            transparent: true,
+            blending: CONFIG.colors.blending === 'normal' ? THREE.NormalBlending : THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        cloudAssembly = new THREE.Points(geometry, material);
+        cloudAssembly.frustumCulled = false;
+        cloudAssembly.visible = false;
+        scene.add(cloudAssembly);
+    }
+
+    /**
+     * Random points on the filled faces of an SVG group, in world space
+     * @param {THREE.Group} group - Group from loadSVG
+     * @param {number} count - Number of points
+     * @param {Function} random - Seeded random
+     * @returns {THREE.Vector3[]}
+     */
+    function sampleSVGSurface(group, count, random) {
+        const triangles = [];
+        const cumulativeAreas = [];
+        let totalArea = 0;
+
+        group.updateMatrixWorld(true);
+        group.children.forEach(mesh => {
+            const { geometry } = mesh;
+            const positions = geometry.attributes.position;
+            const index = geometry.index;
+            // Extruded shapes: the first group holds the front and back faces
+            const end = geometry.groups.length > 0 ? geometry.groups[0].count : (index || positions).count;
+
+            for (let i = 0; i < end; i += 3) {
+                const triangle = [0, 1, 2].map(k => {
+                    const vertex = index ? index.getX(i + k) : i + k;
+                    return new THREE.Vector3().fromBufferAttribute(positions, vertex).applyMatrix4(mesh.matrixWorld);
+                });
+                const area = new THREE.Triangle(...triangle).getArea();
+                if (area === 0) continue;
+                totalArea += area;
+                triangles.push(triangle);
+                cumulativeAreas.push(totalArea);
+            }
+        });
+
+        const points = [];
+        for (let i = 0; i < count && totalArea > 0; i++) {
+            // Pick a triangle proportionally to its area, then a point inside it
+            const target = random() * totalArea;
+            let low = 0;
+            let high = cumulativeAreas.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (cumulativeAreas[mid] < target) low = mid + 1; else high = mid;
+            }
+            const [a, b, c] = triangles[low];
+            let u = random();
+            let v = random();
+            if (u + v > 1) {
+                u = 1 - u;
+                v = 1 - v;
+            }
+            points.push(a.clone()
+                .addScaledVector(new THREE.Vector3().subVectors(b, a), u)
+                .addScaledVector(new THREE.Vector3().subVectors(c, a), v));
+        }
+        return points;
+    }
+
+    const assemblySource = new THREE.Vector3();
+
+    /**
+     * Where point k starts its flight: a network node, or a background particle.
+     * Without either layer, the center of the scene
+     * @param {number} k - Point index
+     * @returns {THREE.Vector3}
+     */
+    function getAssemblySource(k) {
+        const fromNodes = networkNodes.length > 0 && (CONFIG.logos3D.assembleFrom === 'nodes' || !particles);
+        if (fromNodes) {
+            return assemblySource.copy(networkNodes[k % networkNodes.length].position);
+        }
+        if (!particles) return assemblySource.set(0, 0, 0);
+        const positions = particles.geometry.attributes.position;
+        return assemblySource.fromBufferAttribute(positions, k % positions.count).applyMatrix4(particles.matrixWorld);
+    }
+
+    /**
+     * @param {number} loopTime - Time within the loop
+     */
+    function updateLogoCloud3D(loopTime) {
+        if (!cloudAssembly) return;
+
+        const sequence = getSequenceAt(loopTime);
+        if (sequence.type !== 'logo-cloud') {
+            cloudLogoGroups.forEach(group => setSVGOpacity(group, 0));
+            cloudAssembly.visible = false;
+            return;
+        }
+
+        const clamp01 = value => Math.min(1, Math.max(0, value));
+        const sequenceTime = loopTime - sequence.start;
+        const { assemblyStart, assemblyDuration, assemblySpread, stagger, fade } = LOGO_CLOUD;
+
+        // Everything fades out by the end of the sequence, partners earlier
+        // when the logo state switches to sustain only
+        const exit = clamp01((sequence.end - loopTime) / fade);
+        const logoStep = getLogoStep(sequence, sequenceTime);
+        const partnersFade = logoStep.state === 'cloud-sustain-only'
+            ? 1 - clamp01((sequenceTime - logoStep.at) / fade)
+            : 1;
+
+        const { targets, delays, perLogo } = cloudAssembly.geometry.userData;
+        const positions = cloudAssembly.geometry.attributes.position;
+        const opacities = cloudAssembly.geometry.attributes.opacity;
+        if (particles) particles.updateMatrixWorld();
+
+        cloudLogoGroups.forEach((group, logoIndex) => {
+            const logoStart = assemblyStart + logoIndex * stagger;
+            const visibility = exit * (cloudLogos[logoIndex].logo.main ? 1 : partnersFade);
+
+            // The logo fades in while its last points land
+            const logoIn = clamp01((sequenceTime - logoStart - assemblySpread - assemblyDuration * 0.6) / fade);
+            setSVGOpacity(group, logoIn * visibility);
+
+            for (let i = 0; i < perLogo; i++) {
+                const k = logoIndex * perLogo + i;
+                const t = clamp01((sequenceTime - logoStart - delays[k]) / assemblyDuration);
+                const eased = t * t * (3 - 2 * t);
+
+                const source = getAssemblySource(k);
+                positions.setXYZ(k,
+                    source.x + (targets[k * 3] - source.x) * eased,
+                    source.y + (targets[k * 3 + 1] - source.y) * eased,
+                    source.z + (targets[k * 3 + 2] - source.z) * eased
+                );
+                opacities.setX(k, clamp01(t * 8) * (1 - logoIn) * visibility);
+            }
+        });
+
+        positions.needsUpdate = true;
+        opacities.needsUpdate = true;
+        cloudAssembly.visible = true;
+    }
+
+    // ============================================
+    // Lighting
+    // ============================================
+    function createAmbientLight() {
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
+        scene.add(ambientLight);
+    }
+
+    // ============================================
+    // Animation Loop
+    // ============================================
+    function animate() {
+        animationFrame = requestAnimationFrame(animate);
+
+        // The offline exporter drives renderFrame() itself
+        if (isExporting) return;
+
+        // Always consume the delta so resuming doesn't jump ahead
+        const delta = clock.getDelta();
+        if (playback.playing) {
+            playback.time += delta;
+        }
+        updateQualityGovernor(delta);
+
+        renderFrame(playback.time);
+        syncAudio();
+        broadcastSyncState();
+
+        // Keep the overlay animations frozen on the current frame while paused
+        if (!playback.playing) {
+            syncOverlayAnimations(playback.time);
+        }
+        updatePresenterHUD();
+    }
+
+    /**
+     * Update every element for a given time and render the scene
+     * @param {number} elapsedTime - Time in seconds since the start of playback
+     */
+    function renderFrame(elapsedTime) {
+        const loopTime = elapsedTime % loopDuration;
+
+        // Time since the previous frame, for the layers and the effects (0 when paused)
+        const delta = Math.min(Math.max(elapsedTime - frameTime, 0), 0.1);
+
+        // Fire pending overlay class changes
+        frameTime = elapsedTime;
+        runTimelineTimers(elapsedTime);
+
+        // Loop event and language for this iteration (before sequences enter)
+        updateLoop(elapsedTime);
+
+        // Update progress bar
+        updateProgressBar(loopTime);
+
+        // Determine current sequence
+        updateSequence(loopTime);
+
+        // Update layers (matrix, particles, network, shapes...)
+        updateLayers(elapsedTime, loopTime, delta);
+
+        // Logo cloud (after particles and network, its points start from them)
+        updateLogoCloud3D(loopTime);
+
+        // Camera on its path, seen from the overview camera in the path view
+        updateCamera(loopTime);
+        const viewCamera = cameraPathView ? updateCameraPathView() : camera;
+
+        // Render, through the post-processing chain when enabled
+        if (composer && qualityTier.postEffects !== 'none') {
+            updatePostProcessing(elapsedTime, loopTime);
+            postPasses.render.camera = viewCamera;
+            composer.render(delta);
+        } else {
+            renderer.render(scene, viewCamera);
+        }
+    }
+
+    function updateProgressBar(loopTime) {
+        const progress = (loopTime / loopDuration) * 100;
+        container.querySelector('.progress-fill').style.width = `${progress}%`;
+    }
+
+    function updateSequence(loopTime) {
+        const newSequence = getSequenceAt(loopTime).index;
+
+        if (newSequence !== currentSequence) {
+            transitionSequence(currentSequence, newSequence);
+            enterSequence(newSequence);
+        }
+
+        // Update logo animation based on loop time
+        updateLogoAnimation(loopTime);
+    }
+
+    /**
+     * Make a sequence the current one and tell the listeners
+     * @param {number} index - Timeline index
+     */
+    function enterSequence(index) {
+        const previous = currentSequence;
+        currentSequence = index;
+        if (previous >= 0) emit('sequenceexit', getSequenceDetail(previous));
+        emit('sequenceenter', getSequenceDetail(index));
+        emit('sequencechange', getSequenceDetail(index));
+    }
+
+    function transitionSequence(fromSeq, toSeq) {
+        // Exit animation for current sequence
+        if (fromSeq >= 0) {
+            const exitingEl = container.querySelector(timeline[fromSeq].element);
+            if (exitingEl) {
+                exitingEl.classList.add('exiting');
+                exitingEl.classList.remove('active');
+
+                // Clean up after exit animation
+                scheduleOnTimeline(0.6, () => {
+                    exitingEl.classList.remove('exiting');
+                });
+            }
+        }
+
+        // Enter animation for new sequence (slight delay for overlap)
+        scheduleOnTimeline(0.15, () => {
+            const enteringEl = container.querySelector(timeline[toSeq].element);
+            if (enteringEl) {
+                enteringEl.classList.add('active');
+            }
+        });
+
+        // Trigger camera/particle effects on transition
+        triggerTransitionEffects();
+    }
+
+    let transitionStartTime = -Infinity;
+    let lastLogoState = null;
+
+    // Overlay class changes are scheduled on the animation clock rather than with
+    // setTimeout, so they land on the same frame in real time and offline export
+    let timelineTimers = [];
+    let frameTime = 0;
+
+    function scheduleOnTimeline(delay, callback) {
+        timelineTimers.push({ time: frameTime + delay, callback });
+    }
+
+    function runTimelineTimers(time) {
+        const due = timelineTimers.filter(timer => timer.time <= time);
+        timelineTimers = timelineTimers.filter(timer => timer.time > time);
+        due.forEach(timer => timer.callback());
+    }
+
+    function triggerTransitionEffects() {
+        transitionStartTime = frameTime;
+    }
+
+    /**
+     * Transition boost, decaying by 5% per 60fps frame since the last transition
+     * @param {number} time - Elapsed time
+     * @returns {number} - Intensity (0-1)
+     */
+    function getTransitionIntensity(time) {
+        const intensity = Math.pow(0.95, Math.max(0, time - transitionStartTime) * 60);
+        return intensity < 0.01 ? 0 : intensity;
+    }
+
+    function updateLogoAnimation(loopTime) {
+        const logoContainer = container.querySelector('.logo-container');
+
+        if (!logoContainer) return;
+
+        const sequence = getSequenceAt(loopTime);
+        const sequenceElement = container.querySelector(sequence.element);
+        const newState = getLogoStep(sequence, loopTime - sequence.start).state;
+
+        // Only update if state changed
+        if (newState !== lastLogoState) {
+            // Remove all state classes
+            logoContainer.classList.remove('position-bottom', 'position-hidden', 'logos-visible');
+            container.querySelectorAll('.sequence.partners-hidden').forEach(el => {
+                el.classList.remove('partners-hidden');
+            });
+
+            switch (newState) {
+                case 'container-visible':
+                    // Container visible at bottom with all logos
+                    logoContainer.classList.add('position-bottom', 'logos-visible');
+                    break;
+
+                case 'cloud-all':
+                    // Container hidden, cloud shows all logos
+                    logoContainer.classList.add('position-hidden');
+                    break;
+
+                case 'cloud-sustain-only':
+                    // Container hidden, cloud shows only sustain
+                    logoContainer.classList.add('position-hidden');
+                    if (sequenceElement) {
+                        sequenceElement.classList.add('partners-hidden');
+                    }
+                    break;
+            }
+
+            lastLogoState = newState;
+        }
+    }
+
+    /**
+     * Logo states can switch within a sequence (e.g. partners fade out, sustain stays)
+     * @param {Object} sequence - Timeline sequence
+     * @param {number} sequenceTime - Time since the sequence started
+     * @returns {{at: number, state: string}} - The step in effect, and when it started
+     */
+    function getLogoStep(sequence, sequenceTime) {
+        if (!Array.isArray(sequence.logos)) {
+            return { at: 0, state: sequence.logos };
+        }
+        return sequence.logos.filter(step => step.at <= sequenceTime).pop() || { at: 0, state: SEQUENCE_DEFAULTS.logos };
+    }
+
+    function updateParticles(time, loopTime) {
+        particlesMaterial.uniforms.uTime.value = loopTime;
+        particlesMaterial.uniforms.uWave.value.set(getLoopFrequency(0.5), getLoopFrequency(0.3));
+        particlesMaterial.uniforms.uMorph.value = getMorphProgress(loopTime);
+
+        // Base rotation
+        particles.rotation.y = getLoopRotation(CONFIG.particles.speed, loopTime);
+        particles.rotation.x = Math.sin(getLoopFrequency(0.1) * loopTime) * 0.1;
+
+        // Boost opacity during transitions and on the beat
+        particlesMaterial.uniforms.uOpacity.value = 0.6 + getTransitionIntensity(time) * 0.25
+            + getAudioLevel(loopTime) * CONFIG.audio.reactive.opacity;
+    }
+
+    const nodeMatrix = new THREE.Matrix4();
+
+    function updateNetwork(loopTime) {
+        let networkOpacity = 0;
+        let activeSeqStart = 0;
+
+        // Consecutive network sequences form one span - no reset between them.
+        // A span carried over the loop point starts before 0 (see buildTimeline),
+        // so spans are also looked up one loop earlier
+        let spanTime = loopTime;
+        let span = findNetworkSpan(spanTime);
+        if (!span) {
+            spanTime = loopTime - loopDuration;
+            span = findNetworkSpan(spanTime);
+        }
+
+        if (span) {
+            activeSeqStart = span.start;
+            // Fade in before the span and out after it, but within the loop when
+            // the span starts or ends it: the network is gone at the loop point
+            const fadeInStart = span.start === 0 ? 0 : span.start - 0.5;
+            const fadeInProgress = Math.min(1, (spanTime - fadeInStart) / 1.5);
+            const fadeOutStart = span.end === loopDuration ? span.end - 1 : span.end;
+            const fadeOutProgress = spanTime > fadeOutStart ? Math.max(0, 1 - (spanTime - fadeOutStart)) : 1;
+            networkOpacity = fadeInProgress * fadeOutProgress * 0.8;
+        }
+
+        // Update node positions and opacity with staggered fade-in
+        const nodeOpacities = networkNodeMesh.geometry.attributes.instanceOpacity;
+        networkNodes.forEach((node, i) => {
+            const ud = node.userData;
+
+            // Gentle floating motion
+            node.position.x = ud.originalPosition.x + Math.sin(loopTime * getLoopFrequency(ud.speed) + ud.phase) * NODE_FLOAT_AMPLITUDE;
+            node.position.y = ud.originalPosition.y + Math.cos(loopTime * getLoopFrequency(ud.speed * 0.7) + ud.phase) * NODE_FLOAT_AMPLITUDE;
+            nodeMatrix.makeTranslation(node.position);
+            networkNodeMesh.setMatrixAt(i, nodeMatrix);
+
+            // Staggered node appearance based on index
+            const nodeDelay = (i / networkNodes.length) * 1.5; // Spread over 1.5 seconds
+            const timeSinceStart = spanTime - activeSeqStart + 0.5;
+            const nodeProgress = Math.max(0, Math.min(1, (timeSinceStart - nodeDelay) / 0.5));
+
+            // Smooth easing for node appearance
+            const easedProgress = nodeProgress * nodeProgress * (3 - 2 * nodeProgress);
+            nodeOpacities.array[i] = networkOpacity * easedProgress;
+        });
+        networkNodeMesh.instanceMatrix.needsUpdate = true;
+        nodeOpacities.needsUpdate = true;
+        networkNodeMesh.visible = networkOpacity > 0;
+
+        // Connection states are a function of time within the span
+        updateNetworkConnections(networkOpacity, span, spanTime, loopTime);
+    }
+
+    /**
+     * @param {number} time - Loop time, or loop time minus the loop duration
+     * @returns {Object|undefined} - Network span shown (fading included) at that time
+     */
+    function findNetworkSpan(time) {
+        return networkSpans.find(({ start, end }) =>
+            time >= start - 0.5 && time < (end === loopDuration ? end : end + 1)
+        );
+    }
+
+    function updateGeometricShapes(loopTime) {
+        // Calculate visibility based on current sequence
+        const shapeOpacity = getSequenceAt(loopTime).shapes;
+
+        geometricShapes.forEach(shape => {
+            const ud = shape.userData;
+
+            // Rotation (rotationSpeed is per 60fps frame)
+            shape.rotation.z = ud.initialRotation + getLoopRotation(ud.rotationSpeed * 60, loopTime, ud.symmetry);
+
+            // Pulse effect
+            const pulse = 0.8 + Math.sin(loopTime * getLoopFrequency(ud.pulseSpeed || 1) + ud.phase) * 0.2;
+            shape.scale.set(pulse, pulse, 1);
+
+            // Opacity
+            shape.material.opacity = ud.originalOpacity * shapeOpacity;
+        });
+    }
+
+    // ============================================
+    // Camera Path
+    // ============================================
+    // The camera follows keyframes set per sequence ("camera" in the content
+    // file). Positions and look-at targets lie on closed Catmull-Rom splines
+    // through every keyframe of the loop, the last keyframe leading back to the
+    // first, so the end of the loop meets its start. The camera is a function
+    // of the loop time only: the same picture at any frame rate, after a seek
+    // and in the export.
+    // A keyframe: { at, position: [x, y, z], target, fov, ease }
+    //   at     - seconds into the sequence
+    //   target - look-at point, default [0, 0, 0]
+    //   fov    - vertical field of view at 16:9, scaled for the other profiles
+    //   ease   - easing from this keyframe to the next (see CAMERA_EASINGS)
+    // Positions and targets are scaled by the profile's cameraScale.
+    // A number or [start, end] is a distance on the z axis, held from 10% to
+    // 90% of the sequence, on a slight orbit around the center over the loop.
+    const CAMERA_EASINGS = {
+        linear: t => t,
+        in: t => t * t,
+        out: t => t * (2 - t),
+        'in-out': t => t * t * (3 - 2 * t)
+    };
+    const CAMERA_DEFAULT_FOV = OUTPUT_PROFILES.landscape.fov;
+    const CAMERA_ORBIT = { x: 3, y: 2 };   // Orbit radii of the distance shorthand
+    const CAMERA_HOLD = 0.1;               // Shorthand keyframes at 10% and 90% of the sequence
+    const CAMERA_PATH_COLORS = { position: 0xffcc00, target: 0x00ccff, camera: 0xff3366 };
+
+    let cameraKeyframes = [];   // { time, position, target, fov, ease } in loop time order
+    let cameraPath = null;      // { position, target } closed CatmullRomCurve3
+    let cameraPathView = null;  // Debug view, see toggleCameraPathView()
+    const cameraTarget = new THREE.Vector3();
+
+    /**
+     * Gather the keyframes of the timeline into the splines, after every
+     * timeline change
+     */
+    function buildCameraPath() {
+        cameraKeyframes = timeline.flatMap(getSequenceKeyframes).sort((a, b) => a.time - b.time);
+        cameraPath = {
+            position: new THREE.CatmullRomCurve3(cameraKeyframes.map(key => key.position), true),
+            target: new THREE.CatmullRomCurve3(cameraKeyframes.map(key => key.target), true)
+        };
+        if (cameraPathView) drawCameraPath();
+    }
+
+    /**
+     * @param {Object} sequence - Timeline sequence
+     * @returns {Object[]} - Its keyframes, in loop time
+     */
+    function getSequenceKeyframes(sequence) {
+        const { camera: value, start, duration } = sequence;
+
+        if (Array.isArray(value) && typeof value[0] === 'object') {
+            return value.map(key => ({
+                time: start + key.at,
+                position: new THREE.Vector3(...key.position),
+                target: new THREE.Vector3(...(key.target || [0, 0, 0])),
+                fov: key.fov ?? CAMERA_DEFAULT_FOV,
+                ease: key.ease || 'in-out'
+            }));
+        }
+
+        // Distance shorthand
+        return [CAMERA_HOLD, 1 - CAMERA_HOLD].map(progress => {
+            const time = start + duration * progress;
+            const angle = (time / loopDuration) * Math.PI * 2;
+            return {
+                time,
+                position: new THREE.Vector3(
+                    Math.sin(angle) * CAMERA_ORBIT.x,
+                    Math.cos(angle) * CAMERA_ORBIT.y,
+                    interpolateSequenceValue(value, progress)
+                ),
+                target: new THREE.Vector3(),
+                fov: CAMERA_DEFAULT_FOV,
+                ease: 'in-out'
+            };
+        });
+    }
+
+    /**
+     * Point of the path at a loop time, before the profile's cameraScale
+     * @param {number} loopTime - Time within the loop
+     * @param {THREE.Vector3} position - Receives the camera position
+     * @param {THREE.Vector3} target - Receives the look-at point
+     * @returns {number} - Field of view at 16:9
+     */
+    function sampleCameraPath(loopTime, position, target) {
+        const count = cameraKeyframes.length;
+
+        // Segment from keyframe i to the next, the last one wrapping to the first
+        let i = count - 1;
+        for (let k = 0; k < count && cameraKeyframes[k].time <= loopTime; k++) i = k;
+        const from = cameraKeyframes[i];
+        const to = cameraKeyframes[(i + 1) % count];
+        const elapsed = loopTime - from.time + (loopTime < from.time ? loopDuration : 0);
+        const span = to.time - from.time + (i === count - 1 ? loopDuration : 0);
+        const progress = span > 0 ? CAMERA_EASINGS[from.ease](Math.min(1, elapsed / span)) : 0;
+
+        const t = (i + progress) / count;
+        cameraPath.position.getPoint(t, position);
+        cameraPath.target.getPoint(t, target);
+        return from.fov + (to.fov - from.fov) * progress;
+    }
+
+    function updateCamera(loopTime) {
+        const scale = outputProfile.cameraScale;
+        const fov = sampleCameraPath(loopTime, camera.position, cameraTarget);
+        camera.position.multiplyScalar(scale);
+        cameraTarget.multiplyScalar(scale);
+
+        // Shake on the beat (fixed frequencies, so seeking gives the same frame)
+        const shake = getAudioLevel(loopTime) * CONFIG.audio.reactive.shake;
+        camera.position.x += Math.sin(loopTime * getLoopFrequency(47)) * shake;
+        camera.position.y += Math.cos(loopTime * getLoopFrequency(61)) * shake;
+
+        camera.lookAt(cameraTarget);
+
+        const profileFov = fov * outputProfile.fov / CAMERA_DEFAULT_FOV;
+        if (camera.fov !== profileFov) {
+            camera.fov = profileFov;
+            camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * Show / hide the path: the scene is seen from further out, with the
+     * camera spline, the target spline, the keyframes and the current aim
+     */
+    function toggleCameraPathView() {
+        if (cameraPathView) {
+            clearCameraPath();
+            cameraPathView.group.removeFromParent();
+            cameraPathView = null;
+            return;
+        }
+
+        const group = new THREE.Group();
+        scene.add(group);
+        cameraPathView = {
+            group,
+            camera: new THREE.PerspectiveCamera(50, camera.aspect, 0.1, 2000),
+            aim: null
+        };
+        drawCameraPath();
+    }
+
+    function drawCameraPath() {
+        clearCameraPath();
+        const { group } = cameraPathView;
+        const scale = outputProfile.cameraScale;
+        const scaled = points => points.map(point => point.clone().multiplyScalar(scale));
+        const line = (points, color) => new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color, fog: false, depthTest: false })
+        );
+
+        const samples = cameraKeyframes.length * 32;
+        group.add(line(scaled(cameraPath.position.getPoints(samples)), CAMERA_PATH_COLORS.position));
+        group.add(line(scaled(cameraPath.target.getPoints(samples)), CAMERA_PATH_COLORS.target));
+
+        const keyframes = new THREE.Points(
+            new THREE.BufferGeometry().setFromPoints(scaled(cameraKeyframes.map(key => key.position))),
+            new THREE.PointsMaterial({ color: CAMERA_PATH_COLORS.position, size: 8, sizeAttenuation: false, fog: false, depthTest: false })
+        );
+        group.add(keyframes);
+
+        // Current camera to its target, updated every frame
+        cameraPathView.aim = line([new THREE.Vector3(), new THREE.Vector3()], CAMERA_PATH_COLORS.camera);
+        cameraPathView.aim.frustumCulled = false;
+        group.add(cameraPathView.aim);
+
+        // Frame the whole path and the center
+        const bounds = new THREE.Box3().setFromObject(group).expandByPoint(new THREE.Vector3());
+        const center = bounds.getCenter(new THREE.Vector3());
+        const radius = bounds.getSize(new THREE.Vector3()).length();
+        cameraPathView.camera.position.set(center.x + radius, center.y + radius * 0.8, center.z + radius * 1.2);
+        cameraPathView.camera.lookAt(center);
+    }
+
+    function clearCameraPath() {
+        [...cameraPathView.group.children].forEach(object => {
+            object.removeFromParent();
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+    }
+
+    /**
+     * @returns {THREE.Camera} - The overview camera, after the camera moved
+     */
+    function updateCameraPathView() {
+        const { camera: overview, aim } = cameraPathView;
+        const aimPositions = aim.geometry.attributes.position;
+        camera.position.toArray(aimPositions.array, 0);
+        cameraTarget.toArray(aimPositions.array, 3);
+        aimPositions.needsUpdate = true;
+        if (overview.aspect !== camera.aspect) {
+            overview.aspect = camera.aspect;
+            overview.updateProjectionMatrix();
+        }
+        return overview;
+    }
+
+    // Keyboard shortcut: 'P' shows / hides the camera path
+    listenKeyboard((e) => {
+        if (isEditingField(e) || timeline.length === 0) return;
+        if (e.key === 'p' || e.key === 'P') {
+            toggleCameraPathView();
+        }
+    });
+
+    // ============================================
+    // Post-processing
+    // ============================================
+    let composer = null;
+    let postPasses = null;
+
+    function createPostProcessing() {
+        const postfx = params.get('postfx');
+        if (!CONFIG.postProcessing.enabled || postfx === 'off') return;
+
+        const { bloom } = CONFIG.postProcessing;
+        const pixelRatio = renderer.getPixelRatio();
+        const { width, height } = getSliceSize();
+
+        // Multisampled targets keep the antialiasing of the default framebuffer
+        const renderTarget = new THREE.WebGLRenderTarget(
+            width * pixelRatio,
+            height * pixelRatio,
+            { type: THREE.HalfFloatType, samples: qualityTier.samples }
+        );
+        composer = new EffectComposer(renderer, renderTarget);
+
+        const bloomPass = new UnrealBloomPass(
+            new THREE.Vector2(width, height),
+            bloom.strength,
+            bloom.radius,
+            bloom.threshold
+        );
+        const aberrationPass = new ShaderPass(RGBShiftShader);
+        const vignettePass = new ShaderPass(VignetteShader);
+        const grainPass = new ShaderPass(FilmShader);
+
+        const renderPass = new RenderPass(scene, camera);
+        composer.addPass(renderPass);
+        composer.addPass(bloomPass);
+        composer.addPass(aberrationPass);
+        composer.addPass(vignettePass);
+        composer.addPass(grainPass);
+        composer.addPass(new OutputPass());
+
+        postPasses = { render: renderPass, bloom: bloomPass, aberration: aberrationPass, vignette: vignettePass, grain: grainPass };
+    }
+
+    /**
+     * Drive the effects from the timeline: the sequence bloom factor, plus a
+     * boost that decays with the transition intensity. Grain is seeded with the
+     * playback time so exported frames are reproducible.
+     * @param {number} time - Elapsed time
+     * @param {number} loopTime - Time within the loop
+     */
+    function updatePostProcessing(time, loopTime) {
+        const { bloom, vignette, grain, chromaticAberration } = CONFIG.postProcessing;
+        const sequence = getSequenceAt(loopTime);
+        const progress = (loopTime - sequence.start) / sequence.duration;
+        const transition = getTransitionIntensity(time);
+
+        const bloomStrength = (bloom.strength * interpolateSequenceValue(sequence.bloom, progress)
+            + bloom.transitionBoost * transition) * CONFIG.colors.bloom;
+        postPasses.bloom.enabled = bloomStrength > 0;
+        postPasses.bloom.strength = bloomStrength;
+        postPasses.bloom.radius = bloom.radius;
+        postPasses.bloom.threshold = bloom.threshold;
+
+        // Lower quality tiers keep the bloom only
+        const allEffects = qualityTier.postEffects === 'all';
+        const aberration = chromaticAberration.amount + chromaticAberration.transitionBoost * transition;
+        postPasses.aberration.enabled = allEffects && aberration > 0;
+        postPasses.aberration.uniforms.amount.value = aberration;
+
+        postPasses.vignette.enabled = allEffects && vignette.darkness > 0;
+        postPasses.vignette.uniforms.offset.value = vignette.offset;
+        postPasses.vignette.uniforms.darkness.value = vignette.darkness;
+
+        postPasses.grain.enabled = allEffects && grain.intensity > 0;
+        postPasses.grain.uniforms.intensity.value = grain.intensity;
+        postPasses.grain.uniforms.time.value = time;
+    }
+
+    // ============================================
+    // Quality Governor
+    // ============================================
+    // Measures the frame time and steps between tiers, lowest first. A tier
+    // caps the resolution, scales the particle and node counts (the layout
+    // streams keep the same first elements), thins the matrix columns and
+    // drops effects. Hysteresis: one slow sample steps down, stepping up takes
+    // several fast samples in a row, twice as many after each failed step up.
+    const QUALITY_TIERS = {
+        low: {
+            pixelRatio: 0.75,       // Cap on the device pixel ratio
+            particles: 0.4,         // Factor on CONFIG.particles.count
+            nodes: 0.5,             // Factor on CONFIG.network.nodeCount
+            matrix: 0.5,            // Matrix column density
+            postEffects: 'none',    // 'none', 'bloom' or 'all'
+            samples: 0              // Multisampling of the post-processing targets
+        },
+        medium: { pixelRatio: 1, particles: 0.65, nodes: 0.75, matrix: 0.75, postEffects: 'bloom', samples: 0 },
+        high: { pixelRatio: 1.5, particles: 1, nodes: 1, matrix: 1, postEffects: 'all', samples: 4 },
+        ultra: { pixelRatio: 2, particles: 1, nodes: 1, matrix: 1, postEffects: 'all', samples: 4 }
+    };
+    const QUALITY_TIER_NAMES = Object.keys(QUALITY_TIERS);
+    const QUALITY_TOP_TIER = QUALITY_TIER_NAMES[QUALITY_TIER_NAMES.length - 1];
+
+    let qualityTierName = QUALITY_TOP_TIER;
+    let qualityTier = QUALITY_TIERS[QUALITY_TOP_TIER];
+    let qualityAuto = true;
+    let qualityFrameTime = 0;         // Average of the last sample, in ms
+    let qualityFastSamples = 0;
+    let qualityUpgradeSamples = 0;    // Fast samples needed to step up
+    let qualityLastUpgrade = null;    // Tier reached by the last step up
+    let qualitySkipFrame = false;     // The frame after a change includes the rebuild
+    const qualitySample = { time: 0, frames: 0 };
+
+    function initQuality() {
+        const requested = params.get('quality') || CONFIG.quality.tier;
+        qualityAuto = !QUALITY_TIERS[requested];
+        if (requested !== 'auto' && qualityAuto) {
+            console.warn(`Unknown quality "${requested}" (available: ${QUALITY_TIER_NAMES.join(', ')}, auto), using auto`);
+        }
+        qualityUpgradeSamples = CONFIG.quality.upgradeSamples;
+        setQualityTier(qualityAuto ? QUALITY_TOP_TIER : requested);
+    }
+
+    /**
+     * Called every real-time frame
+     * @param {number} delta - Seconds since the previous frame
+     */
+    function updateQualityGovernor(delta) {
+        // Ignore the rebuild frame and hitches such as a hidden tab
+        if (!qualityAuto || qualitySkipFrame || delta > 0.5) {
+            qualitySkipFrame = false;
+            return;
+        }
+        qualitySample.time += delta;
+        qualitySample.frames++;
+        if (qualitySample.time < CONFIG.quality.sampleSeconds) return;
+
+        qualityFrameTime = qualitySample.time / qualitySample.frames * 1000;
+        qualitySample.time = 0;
+        qualitySample.frames = 0;
+
+        const budget = 1000 / CONFIG.quality.targetFps;
+        const index = QUALITY_TIER_NAMES.indexOf(qualityTierName);
+
+        if (qualityFrameTime > budget * CONFIG.quality.slowFactor) {
+            qualityFastSamples = 0;
+            if (index === 0) return;
+            // The tier we stepped up to is too much: be slower to try it again
+            if (qualityLastUpgrade === qualityTierName) qualityUpgradeSamples *= 2;
+            qualityLastUpgrade = null;
+            setQualityTier(QUALITY_TIER_NAMES[index - 1]);
+        } else if (qualityFrameTime < budget * CONFIG.quality.fastFactor) {
+            qualityFastSamples++;
+            if (qualityFastSamples < qualityUpgradeSamples || qualityTierName === QUALITY_TOP_TIER) return;
+            qualityFastSamples = 0;
+            qualityLastUpgrade = QUALITY_TIER_NAMES[index + 1];
+            setQualityTier(qualityLastUpgrade);
+        } else {
+            qualityFastSamples = 0;
+        }
+    }
+
+    /**
+     * Apply a tier: resolution, multisampling and matrix columns (through
+     * onResize), then rebuild the layers whose size changes
+     * @param {string} name - QUALITY_TIERS key
+     */
+    function setQualityTier(name) {
+        const previous = qualityTier;
+        qualityTierName = name;
+        qualityTier = QUALITY_TIERS[name];
+        qualitySkipFrame = true;
+        qualitySample.time = 0;
+        qualitySample.frames = 0;
+        if (!renderer) return;
+
+        onResize();
+        if (composer) setComposerSamples(qualityTier.samples);
+        if (getLayer('particles') && getParticleCount(previous) !== getParticleCount()) {
+            createParticles();
+            morphTargets.clear();
+        }
+        if (getLayer('network') && getNodeCount(previous) !== getNodeCount()) createNetwork();
+
+        console.log(`Quality: ${name}${qualityFrameTime ? ` (${qualityFrameTime.toFixed(1)} ms/frame)` : ''}`);
+        emit('qualitychange', { tier: name, auto: qualityAuto, frameTime: qualityFrameTime });
+    }
+
+    /**
+     * Particles at a tier. Synced windows keep the full counts, so that
+     * every screen shows the same layout.
+     * @param {Object} [tier]
+     * @returns {number}
+     */
+    function getParticleCount(tier = qualityTier) {
+        return syncRole ? CONFIG.particles.count : Math.round(CONFIG.particles.count * tier.particles);
+    }
+
+    /**
+     * @param {Object} [tier]
+     * @returns {number} - Network nodes at a tier (see getParticleCount)
+     */
+    function getNodeCount(tier = qualityTier) {
+        return syncRole ? CONFIG.network.nodeCount : Math.round(CONFIG.network.nodeCount * tier.nodes);
+    }
+
+    /**
+     * @param {number} stageScale - Display scale of the stage
+     * @returns {number} - Renderer pixel ratio
+     */
+    function getRenderPixelRatio(stageScale) {
+        return Math.min(window.devicePixelRatio * stageScale, qualityTier.pixelRatio);
+    }
+
+    function setComposerSamples(samples) {
+        [composer.renderTarget1, composer.renderTarget2].forEach(target => {
+            if (target.samples === samples) return;
+            target.samples = samples;
+            target.dispose();   // Recreated with the new sample count on next use
+        });
+    }
+
+    // ============================================
+    // Audio
+    // ============================================
+    // The soundtrack follows playback time: it restarts with every loop and
+    // seeks with the presenter controls. Visuals react to a bass envelope
+    // computed once from the decoded file, so they are identical live, after a
+    // seek and in the export.
+    const AUDIO_ANALYSIS_FPS = 60;
+    const AUDIO_DRIFT_TOLERANCE = 0.1; // Seconds before the source is restarted
+
+    const audioTrack = {
+        context: null,
+        gain: null,
+        buffer: null,
+        envelope: null,         // Beat level (0-1) per analysis frame
+        source: null,           // Playing AudioBufferSourceNode
+        sourcePosition: 0,      // File position when the source started
+        sourceStartedAt: 0,     // AudioContext time when the source started
+        muted: false,
+        ready: Promise.resolve()
+    };
+
+    function loadAudioTrack() {
+        const src = params.get('audio') || CONFIG.audio.src;
+        if (!src) return;
+
+        audioTrack.context = new AudioContext();
+        audioTrack.gain = audioTrack.context.createGain();
+        audioTrack.gain.gain.value = audioTrack.muted ? 0 : CONFIG.audio.volume;
+        audioTrack.gain.connect(audioTrack.context.destination);
+
+        audioTrack.ready = fetch(src)
+            .then(response => {
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                return response.arrayBuffer();
+            })
+            .then(data => audioTrack.context.decodeAudioData(data))
+            .then(async buffer => {
+                audioTrack.envelope = await analyseAudio(buffer);
+                audioTrack.buffer = buffer;
+                console.log(`Audio loaded: ${src} (${buffer.duration.toFixed(2)}s)`);
+            })
+            .catch(error => console.error(`Audio "${src}" could not be loaded`, error));
+
+        // Browsers only start audio after a user gesture
+        const resume = () => audioTrack.context.resume();
+        listen(document, 'pointerdown', resume);
+        listen(document, 'keydown', resume);
+    }
+
+    /**
+     * Beat envelope of the bass: the track is low-passed offline (Web Audio),
+     * its energy measured per frame, and rises above the recent average kept
+     * as a fast-attack, slow-decay level
+     * @param {AudioBuffer} buffer
+     * @returns {Promise<Float32Array>} - Level (0-1) per 1/60 s
+     */
+    async function analyseAudio(buffer) {
+        const offline = new OfflineAudioContext(1, buffer.length, buffer.sampleRate);
+        const source = offline.createBufferSource();
+        const lowpass = offline.createBiquadFilter();
+        source.buffer = buffer;
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = 150;
+        source.connect(lowpass).connect(offline.destination);
+        source.start();
+        const bass = (await offline.startRendering()).getChannelData(0);
+
+        // RMS energy per frame
+        const samplesPerFrame = buffer.sampleRate / AUDIO_ANALYSIS_FPS;
+        const frameCount = Math.floor(bass.length / samplesPerFrame);
+        const energy = new Float32Array(frameCount);
+        for (let frame = 0; frame < frameCount; frame++) {
+            let sum = 0;
+            const start = Math.floor(frame * samplesPerFrame);
+            const end = Math.floor((frame + 1) * samplesPerFrame);
+            for (let i = start; i < end; i++) sum += bass[i] * bass[i];
+            energy[frame] = Math.sqrt(sum / (end - start));
+        }
+
+        // Onsets: energy above the average of the previous half second
+        const averageFrames = AUDIO_ANALYSIS_FPS / 2;
+        const envelope = new Float32Array(frameCount);
+        let runningSum = 0;
+        let peak = 0;
+        for (let frame = 0; frame < frameCount; frame++) {
+            const average = frame > 0 ? runningSum / Math.min(frame, averageFrames) : energy[0];
+            const onset = Math.max(0, energy[frame] - average);
+            envelope[frame] = Math.max(onset, frame > 0 ? envelope[frame - 1] * 0.9 : 0);
+            peak = Math.max(peak, envelope[frame]);
+
+            runningSum += energy[frame];
+            if (frame >= averageFrames) runningSum -= energy[frame - averageFrames];
+        }
+        if (peak > 0) envelope.forEach((value, frame) => { envelope[frame] = value / peak; });
+        return envelope;
+    }
+
+    /**
+     * @param {number} loopTime - Time within the loop
+     * @returns {number} - Beat level (0-1), 0 without a soundtrack
+     */
+    function getAudioLevel(loopTime) {
+        const envelope = audioTrack.envelope;
+        if (!envelope) return 0;
+        const frame = Math.floor((loopTime + CONFIG.audio.offset) * AUDIO_ANALYSIS_FPS);
+        return frame >= 0 && frame < envelope.length ? envelope[frame] : 0;
+    }
+
+    /**
+     * Keep the audio source on playback time. Called every displayed frame:
+     * pausing stops it, and a seek or a new loop shows up as drift and restarts it.
+     */
+    function syncAudio() {
+        if (!audioTrack.buffer) return;
+
+        if (!playback.playing || isExporting || audioTrack.context.state !== 'running') {
+            stopAudioSource();
+            return;
+        }
+
+        const position = (playback.time % loopDuration) + CONFIG.audio.offset;
+        if (audioTrack.source) {
+            const sourceTime = audioTrack.sourcePosition + (audioTrack.context.currentTime - audioTrack.sourceStartedAt);
+            if (Math.abs(sourceTime - position) < AUDIO_DRIFT_TOLERANCE) return;
+        }
+        startAudioSource(position);
+    }
+
+    /**
+     * @param {number} position - File position in seconds, negative to start after a delay
+     */
+    function startAudioSource(position) {
+        stopAudioSource();
+        if (position >= audioTrack.buffer.duration) return;
+
+        const { context } = audioTrack;
+        const source = context.createBufferSource();
+        source.buffer = audioTrack.buffer;
+        source.connect(audioTrack.gain);
+        source.start(context.currentTime + Math.max(0, -position), Math.max(0, position));
+
+        audioTrack.source = source;
+        audioTrack.sourcePosition = position;
+        audioTrack.sourceStartedAt = context.currentTime;
+    }
+
+    function stopAudioSource() {
+        if (!audioTrack.source) return;
+        audioTrack.source.stop();
+        audioTrack.source.disconnect();
+        audioTrack.source = null;
+    }
+
+    function toggleMute() {
+        if (!audioTrack.gain) return;
+        audioTrack.muted = !audioTrack.muted;
+        audioTrack.gain.gain.value = audioTrack.muted ? 0 : CONFIG.audio.volume;
+    }
+
+    /**
+     * The soundtrack of one loop, as the export hears it: 48 kHz (Opus only
+     * encodes 48 kHz), offset applied, exactly one loop long
+     * @returns {Promise<AudioBuffer|null>} - null without a soundtrack
+     */
+    async function renderLoopAudio() {
+        await audioTrack.ready;
+        const buffer = audioTrack.buffer;
+        if (!buffer) return null;
+
+        const sampleRate = 48000;
+        const offline = new OfflineAudioContext(
+            Math.min(2, buffer.numberOfChannels),
+            Math.round(loopDuration * sampleRate),
+            sampleRate
+        );
+        const source = offline.createBufferSource();
+        const gain = offline.createGain();
+        source.buffer = buffer;
+        gain.gain.value = CONFIG.audio.volume;
+        source.connect(gain).connect(offline.destination);
+        source.start(Math.max(0, -CONFIG.audio.offset), Math.max(0, CONFIG.audio.offset));
+        return offline.startRendering();
+    }
+
+    /**
+     * 16-bit PCM WAV file
+     * @param {AudioBuffer} audio
+     * @returns {Blob}
+     */
+    function encodeWAV(audio) {
+        const { numberOfChannels, sampleRate, length } = audio;
+        const dataSize = length * numberOfChannels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeString = (offset, text) => {
+            [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);                               // Chunk size
+        view.setUint16(20, 1, true);                                // PCM
+        view.setUint16(22, numberOfChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * numberOfChannels * 2, true); // Byte rate
+        view.setUint16(32, numberOfChannels * 2, true);             // Block align
+        view.setUint16(34, 16, true);                               // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channels = Array.from({ length: numberOfChannels }, (_, channel) => audio.getChannelData(channel));
+        let offset = 44;
+        for (let i = 0; i < length; i++) {
+            channels.forEach(samples => {
+                const sample = Math.max(-1, Math.min(1, samples[i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            });
+        }
+        return new Blob([view], { type: 'audio/wav' });
+    }
+
+    // Keyboard shortcut: 'M' mutes / unmutes the soundtrack
+    listenKeyboard((e) => {
+        if (isEditingField(e)) return;
+        if (e.key === 'm' || e.key === 'M') {
+            toggleMute();
+        }
+    });
+
+    // ============================================
+    // Presenter Controls
+    // ============================================
+    const playback = {
+        time: 0,        // Elapsed playback time in seconds
+        playing: true
+    };
+    const FRAME_STEP = 1 / 60;
+    let presenterHUD = null;
+
+    function play() {
+        if (playback.playing) return;
+        playback.playing = true;
+        releaseOverlayAnimations();
+        broadcastSyncState(true);
+    }
+
+    function pause() {
+        playback.playing = false;
+        broadcastSyncState(true);
+    }
+
+    /**
+     * Jump to a time of the current loop iteration and settle every stateful
+     * element as if playback had run from the start of the loop. Past the end,
+     * the seek moves into the next iteration, before 0 into the previous one
+     * (the loop event and the auto language follow); before the very first
+     * iteration, it wraps to that iteration's end.
+     * @param {number} loopTime - Target time, from the start of the current iteration
+     */
+    function seekTo(loopTime) {
+        const loopStart = Math.floor(playback.time / loopDuration) * loopDuration;
+        const target = loopStart + loopTime;
+        playback.time = target >= 0 ? target : ((target % loopDuration) + loopDuration) % loopDuration;
+        // Loop event and language first, as in renderFrame
+        updateLoop(playback.time);
+        settleAt(playback.time);
+        if (!isExporting) renderFrame(playback.time);
+        broadcastSyncState(true);
+    }
+
+    function jumpToSequence(index) {
+        if (index < 0 || index >= timeline.length) return;
+        seekTo(timeline[index].start);
+    }
+
+    /**
+     * Step one frame forward or backward, pausing playback
+     * @param {number} direction - 1 or -1
+     */
+    function stepFrame(direction) {
+        pause();
+        seekTo((playback.time % loopDuration) + direction * FRAME_STEP);
+    }
+
+    function settleAt(elapsedTime) {
+        const loopTime = elapsedTime % loopDuration;
+        const loopStart = elapsedTime - loopTime;
+
+        // The scene (camera, network, layers) is a function of time and needs
+        // no settling, only the overlays do
+        const sequence = getSequenceAt(loopTime);
+        transitionStartTime = loopStart + sequence.start;
+        settleOverlays(elapsedTime, sequence);
+    }
+
+    function settleOverlays(elapsedTime, sequence) {
+        const loopTime = elapsedTime % loopDuration;
+        timelineTimers = [];
+        frameTime = elapsedTime;
+
+        container.querySelectorAll('.sequence').forEach(el => {
+            el.classList.remove('active', 'exiting', 'partners-hidden');
+        });
+
+        // Sequence overlay: enter (after the usual 150ms), then fast-forward its animations
+        if (sequence.index !== currentSequence) enterSequence(sequence.index);
+        const el = container.querySelector(sequence.element);
+        const sinceEnter = loopTime - sequence.start - 0.15;
+        if (el && sinceEnter >= 0) {
+            el.classList.add('active');
+            el.getAnimations({ subtree: true }).forEach(animation => {
+                animation.currentTime = sinceEnter * 1000;
+                overlayAnimationStarts.set(animation, elapsedTime - sinceEnter);
+            });
+        } else if (el) {
+            scheduleOnTimeline(-sinceEnter, () => el.classList.add('active'));
+        }
+
+        // Logos: apply the state directly, without the slide transition
+        lastLogoState = null;
+        updateLogoAnimation(loopTime);
+        const logoContainer = container.querySelector('.logo-container');
+        if (logoContainer) {
+            logoContainer.getAnimations({ subtree: true }).forEach(animation => {
+                animation.finish();
+                overlayAnimationStarts.delete(animation);
+            });
+        }
+    }
+
+    function togglePresenterHUD() {
+        if (presenterHUD) {
+            presenterHUD.remove();
+            presenterHUD = null;
+            return;
+        }
+        presenterHUD = document.createElement('div');
+        presenterHUD.className = 'presenter-hud';
+        container.appendChild(presenterHUD);
+        updatePresenterHUD();
+    }
+
+    function updatePresenterHUD() {
+        if (!presenterHUD) return;
+        const loopTime = playback.time % loopDuration;
+        const sequence = getSequenceAt(loopTime);
+        presenterHUD.textContent = [
+            playback.playing ? '▶' : '❚❚',
+            `${loopTime.toFixed(2)}s / ${loopDuration.toFixed(2)}s`,
+            `frame ${Math.floor(loopTime * 60)}`,
+            `${sequence.index + 1}/${timeline.length} ${sequence.name}`,
+            autoLanguage ? `${currentLanguage} (auto)` : currentLanguage,
+            syncRole && `sync: ${syncRole}`,
+            `quality: ${qualityTierName}${qualityAuto ? ' (auto)' : ''}` +
+                (qualityFrameTime ? ` ${qualityFrameTime.toFixed(1)} ms` : '')
+        ].filter(Boolean).join('  ·  ');
+    }
+
+    // Keyboard shortcuts:
+    //   Space       play / pause
+    //   ← / →       seek 1s (Shift: 5s)
+    //   , / .       step one frame back / forward
+    //   1-9         jump to the start of a sequence
+    //   Home        back to the start of the loop
+    //   H           show / hide the presenter display
+    listenKeyboard((e) => {
+        if (isExporting || timeline.length === 0 || isEditingField(e)) return;
+
+        const loopTime = playback.time % loopDuration;
+        const seekStep = e.shiftKey ? 5 : 1;
+
+        if (e.code === 'Space') {
+            e.preventDefault();
+            if (playback.playing) pause(); else play();
+        } else if (e.key === 'ArrowLeft') {
+            seekTo(loopTime - seekStep);
+        } else if (e.key === 'ArrowRight') {
+            seekTo(loopTime + seekStep);
+        } else if (e.key === ',') {
+            stepFrame(-1);
+        } else if (e.key === '.') {
+            stepFrame(1);
+        } else if (e.key >= '1' && e.key <= '9') {
+            jumpToSequence(Number(e.key) - 1);
+        } else if (e.key === 'Home') {
+            seekTo(0);
+        } else if (e.key === 'h' || e.key === 'H') {
+            togglePresenterHUD();
+        }
+    });
+
+    // ============================================
+    // Multi-window Sync
+    // ============================================
+    // One window leads and broadcasts its playback state, the others follow it.
+    // Everything on screen is a function of the playback time and the seed, so
+    // sharing both is enough for every window to show the same frame: sequence
+    // changes and network connections happen at the same moment on all screens.
+    // Messages (plain objects, JSON over the relay):
+    //   { type: 'hello' }   follower asking for the state right away
+    //   { type: 'state', time, playing, loopDuration, seed, language, autoLanguage, sentAt }
+    const SYNC_SLEW = 0.2; // Fraction of a small drift corrected per message
+
+    let syncRole = null;          // null, 'leader' or 'follower'
+    let syncTransport = null;
+    let syncLastSent = -Infinity; // performance.now() of the last leader message
+    const syncWarnings = new Set();
+
+    function initSync() {
+        const role = params.get('sync') || CONFIG.sync.role;
+        if (!role) return;
+        if (role !== 'leader' && role !== 'follower') {
+            console.warn(`Unknown sync role "${role}", expected leader or follower`);
+            return;
+        }
+
+        syncRole = role;
+        const channel = params.get('channel') || CONFIG.sync.channel;
+        const relay = params.get('relay') || CONFIG.sync.relay;
+
+        // Same layout on every screen without passing ?seed= to each window
+        if (CONFIG.seed === null) CONFIG.seed = `sync:${channel}`;
+        // One soundtrack is enough, followers start muted (M to unmute)
+        if (role === 'follower') audioTrack.muted = true;
+
+        const onOpen = transport => {
+            if (role === 'follower') transport.send({ type: 'hello' });
+        };
+        syncTransport = relay
+            ? createRelayTransport(relay, channel, onSyncMessage, onOpen)
+            : createChannelTransport(channel, onSyncMessage, onOpen);
+        console.log(`Sync: ${role} on channel "${channel}" (${relay || 'BroadcastChannel'})`);
+    }
+
+    /**
+     * Windows of the same browser on the same machine
+     * @param {string} channel
+     * @param {Function} onMessage - Called with every message of the other windows
+     * @param {Function} onOpen - Called with the transport once it can send
+     * @returns {{send: Function, close: Function}}
+     */
+    function createChannelTransport(channel, onMessage, onOpen) {
+        const broadcast = new BroadcastChannel(`sustain-sync:${channel}`);
+        broadcast.onmessage = event => onMessage(event.data);
+
+        const transport = {
+            send: message => broadcast.postMessage(message),
+            close: () => broadcast.close()
+        };
+        onOpen(transport);
+        return transport;
+    }
+
+    /**
+     * WebSocket to sync-relay.mjs, which forwards every message to the other
+     * clients of the channel. Reconnects when the relay restarts.
+     * @param {string} url - Relay address, e.g. ws://192.168.1.10:8787
+     * @param {string} channel
+     * @param {Function} onMessage
+     * @param {Function} onOpen - Called with the transport on every (re)connection
+     * @returns {{send: Function, close: Function}}
+     */
+    function createRelayTransport(url, channel, onMessage, onOpen) {
+        let socket = null;
+        let closed = false;
+        const transport = {
+            send: message => {
+                if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+            },
+            close: () => {
+                closed = true;
+                socket.close();
+            }
+        };
+
+        const connect = () => {
+            socket = new WebSocket(`${url.replace(/\/$/, '')}/${encodeURIComponent(channel)}`);
+            socket.onopen = () => onOpen(transport);
+            socket.onmessage = event => {
+                try {
+                    onMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.warn('Sync: invalid message from the relay', error);
+                }
+            };
+            socket.onclose = () => {
+                if (!closed) setTimeout(connect, 2000);
+            };
+        };
+        connect();
+        return transport;
+    }
+
+    /**
+     * Leader side, called every frame: sends the state every CONFIG.sync.interval,
+     * or right away when forced (play, pause, seek)
+     * @param {boolean} [force]
+     */
+    function broadcastSyncState(force = false) {
+        if (syncRole !== 'leader' || isExporting) return;
+        const now = performance.now();
+        if (!force && now - syncLastSent < CONFIG.sync.interval * 1000) return;
+        syncLastSent = now;
+
+        syncTransport.send({
+            type: 'state',
+            time: playback.time,
+            playing: playback.playing,
+            loopDuration,
+            seed: String(seed),
+            language: currentLanguage,
+            autoLanguage,
+            sentAt: Date.now()
+        });
+    }
+
+    function onSyncMessage(message) {
+        if (!message || typeof message !== 'object') return;
+
+        if (syncRole === 'leader') {
+            if (message.type === 'hello') broadcastSyncState(true);
+            if (message.type === 'state') warnSyncOnce('leader', 'Sync: another leader is on this channel');
+            return;
+        }
+        if (message.type === 'state') followSyncState(message);
+    }
+
+    /**
+     * Follower side: adopt the leader's state. Small drifts are slewed so the
+     * animation stays smooth, larger ones (start, jumps, pauses) are seeks.
+     * @param {Object} state - 'state' message
+     */
+    function followSyncState(state) {
+        if (isExporting || timeline.length === 0) return;
+
+        if (state.seed !== String(seed)) {
+            warnSyncOnce('seed', `Sync: leader seed "${state.seed}" differs from "${seed}", layouts will not match`);
+        }
+        if (Math.abs(state.loopDuration - loopDuration) > 1e-6) {
+            warnSyncOnce('loop', `Sync: leader loop lasts ${state.loopDuration}s, this one ${loopDuration}s (different content?)`);
+        }
+
+        autoLanguage = state.autoLanguage;
+        if (!autoLanguage) setLanguage(state.language);
+
+        if (state.playing && !playback.playing) play();
+        if (!state.playing && playback.playing) pause();
+
+        // Transit time of the message, from clocks of one machine (or NTP-synced ones)
+        const latency = state.playing ? Math.min(Math.max((Date.now() - state.sentAt) / 1000, 0), 0.5) : 0;
+        const target = state.time + latency;
+        const drift = target - playback.time;
+
+        if (Math.abs(drift) > CONFIG.sync.maxDrift || (!state.playing && Math.abs(drift) > 1e-6)) {
+            playback.time = target;
+            settleAt(target);
+        } else if (state.playing) {
+            playback.time += drift * SYNC_SLEW;
+        }
+    }
+
+    function warnSyncOnce(key, message) {
+        if (syncWarnings.has(key)) return;
+        syncWarnings.add(key);
+        console.warn(message);
+    }
+
+    // ============================================
+    // Control API
+    // ============================================
+    // Commands from outside the page: window.postMessage (a slide deck or a
+    // stage manager in another window, or the parent of an iframe), the remote
+    // WebSocket through the relay, and SustainBackground.command().
+    //   { type: 'sustain:command', command: 'play' | 'pause' | 'status' }
+    //   { type: 'sustain:command', command: 'seek', time }           seconds within the loop
+    //   { type: 'sustain:command', command: 'goto', sequence }       index (from 0) or name
+    //   { type: 'sustain:command', command: 'setTheme', theme }      name or definition (see resolveTheme)
+    //   { type: 'sustain:command', command: 'setLanguage', language } a language or 'auto'
+    //   { type: 'sustain:command', command: 'setText', sequence, item, text }
+    // The senders get { type: 'sustain:status', ... } after every command, or
+    // { type: 'sustain:error', command, message }, and every event as
+    // { type: 'sustain:event', event, detail }. So do the parent frame, when its
+    // origin is allowed, and the remote. Remote commands also carry the token:
+    //   { type: 'sustain:command', command: 'play', token }
+    const CONTROL_COMMANDS = {
+        play: () => play(),
+        pause: () => pause(),
+        status: () => {},
+        seek: ({ time }) => {
+            if (typeof time !== 'number' || !Number.isFinite(time)) throw new Error('"time" must be a number of seconds');
+            seekTo(time);
+        },
+        goto: ({ sequence }) => jumpToSequence(findSequence(sequence)),
+        setTheme: ({ theme }) => setTheme(theme),
+        setLanguage: ({ language }) => {
+            if (language !== 'auto' && !languages.includes(language)) {
+                throw new Error(`unknown language "${language}" (available: ${languages.join(', ')}, auto)`);
+            }
+            autoLanguage = language === 'auto';
+            if (autoLanguage) {
+                lastLoopIndex = -1;
+            } else {
+                setLanguage(language);
+            }
+        },
+        setText: ({ sequence, item = 0, text }) => setSequenceText(findSequence(sequence), item, text)
+    };
+
+    const controlTargets = new Map(); // Window -> origin, for the windows that sent commands
+    let remoteTransport = null;
+
+    function initControl() {
+        if (options.control) listen(window, 'message', onControlMessage);
+
+        const remote = params.get('remote') || CONFIG.control.remote;
+        if (remote) {
+            // Anyone on the relay can send, so remote commands carry a shared token
+            const token = params.get('token') || CONFIG.control.token;
+            if (!token) {
+                console.warn('Control: the remote needs a token (?token= or CONFIG.control.token), not connected');
+                return;
+            }
+            remoteTransport = createRelayTransport(remote, CONFIG.control.channel, message => {
+                if (!message || message.type !== 'sustain:command') return;
+                if (message.token !== token) {
+                    console.warn(`Control: remote "${message.command}" ignored (wrong token)`);
+                    return;
+                }
+                runControlCommand(message);
+            }, transport => transport.send(getControlStatus()));
+            console.log(`Control: remote ${remote}, channel "${CONFIG.control.channel}"`);
+        }
+    }
+
+    /**
+     * @param {string} origin
+     * @returns {boolean} - Whether CONFIG.control.origins lets that origin in
+     */
+    function isControlOrigin(origin) {
+        const { origins } = CONFIG.control;
+        return origins.includes('*') || origins.includes(origin);
+    }
+
+    /**
+     * @returns {string|null} - Origin of the parent frame, when it is allowed
+     */
+    function getParentControlOrigin() {
+        if (window.parent === window) return null;
+        let origin = null;
+        if (window.location.ancestorOrigins && window.location.ancestorOrigins.length > 0) {
+            origin = window.location.ancestorOrigins[0];
+        } else if (document.referrer) {
+            origin = new URL(document.referrer).origin;
+        }
+        if (origin && isControlOrigin(origin)) return origin;
+        // Unknown parent: only when any origin is allowed
+        return !origin && CONFIG.control.origins.includes('*') ? '*' : null;
+    }
+
+    function onControlMessage(event) {
+        const message = event.data;
+        if (!message || message.type !== 'sustain:command') return;
+
+        if (!isControlOrigin(event.origin)) {
+            console.warn(`Control: command from ${event.origin} ignored (not in CONFIG.control.origins)`);
+            return;
+        }
+        if (event.source && event.source !== window) {
+            controlTargets.set(event.source, event.origin === 'null' ? '*' : event.origin);
+        }
+        runControlCommand(message);
+    }
+
+    /**
+     * Run a command from another window or the remote and report back
+     * @param {Object} message - 'sustain:command' message
+     */
+    function runControlCommand(message) {
+        try {
+            runCommand(message);
+        } catch (error) {
+            console.warn(`Control: "${message.command}" failed - ${error.message}`);
+            postControlMessage({ type: 'sustain:error', command: message.command, message: error.message });
+            return;
+        }
+        postControlMessage(getControlStatus());
+    }
+
+    /**
+     * @param {Object} message - { command, ...arguments }, see CONTROL_COMMANDS
+     * @throws {Error} - Unknown command or invalid arguments
+     */
+    function runCommand(message) {
+        const run = CONTROL_COMMANDS[message.command];
+        if (!run) {
+            throw new Error(`unknown command "${message.command}" (available: ${Object.keys(CONTROL_COMMANDS).join(', ')})`);
+        }
+        if (timeline.length === 0 || disposed) throw new Error('the animation is not running');
+        run(message);
+    }
+
+    /**
+     * Send to every window that sent a command, the parent frame and the remote
+     * @param {Object} message
+     */
+    function postControlMessage(message) {
+        controlTargets.forEach((origin, target) => {
+            if (target.closed) {
+                controlTargets.delete(target);
+            } else {
+                target.postMessage(message, origin);
+            }
+        });
+        if (options.control && !controlTargets.has(window.parent)) {
+            const parentOrigin = getParentControlOrigin();
+            if (parentOrigin) window.parent.postMessage(message, parentOrigin);
+        }
+        if (remoteTransport) remoteTransport.send(message);
+    }
+
+    function getControlStatus() {
+        return {
+            type: 'sustain:status',
+            time: loopDuration ? playback.time % loopDuration : 0,
+            duration: loopDuration,
+            playing: playback.playing,
+            sequence: currentSequence >= 0 ? getSequenceDetail(currentSequence) : null,
+            sequences: timeline.map(sequence => sequence.name),
+            language: currentLanguage,
+            autoLanguage,
+            theme: currentTheme,
+            quality: qualityTierName
+        };
+    }
+
+    /**
+     * @param {number|string} sequence - Timeline index or sequence name
+     * @returns {number} - Timeline index
+     */
+    function findSequence(sequence) {
+        const index = typeof sequence === 'number' ? sequence : timeline.findIndex(entry => entry.name === sequence);
+        if (!timeline[index]) {
+            throw new Error(`unknown sequence "${sequence}" (available: 0-${timeline.length - 1}, ${timeline.map(entry => entry.name).join(', ')})`);
+        }
+        return index;
+    }
+
+    /**
+     * Replace a text of a sequence overlay, in every language or only one
+     * @param {number} index - Timeline index
+     * @param {number} item - Text within the sequence, in reading order
+     * @param {string|Object} text - A string, or one string per language
+     */
+    function setSequenceText(index, item, text) {
+        const isText = typeof text === 'string' ||
+            (text && typeof text === 'object' && Object.values(text).every(value => typeof value === 'string'));
+        if (!isText) throw new Error('"text" must be a string or one string per language');
+
+        const el = container.querySelector(timeline[index].element);
+        const nodes = localizedNodes.filter(node => el.contains(node.el));
+        const node = nodes[item];
+        if (!node) {
+            throw new Error(`sequence "${timeline[index].name}" has ${nodes.length} text(s), no item ${item}`);
+        }
+        node.text = typeof text === 'string' || typeof node.text === 'string' ? text : { ...node.text, ...text };
+        node.el.textContent = localize(node.text);
+    }
+
+    // ============================================
+    // Tuning Panel
+    // ============================================
+    // Live editing of CONFIG while the animation runs. Values that shape the
+    // layout (counts, sizes, distances) rebuild their element from the same seed.
+    let tuningPanel = null;
+
+    function toggleTuningPanel() {
+        if (tuningPanel) {
+            tuningPanel.destroy();
+            tuningPanel = null;
+            return;
+        }
+
+        tuningPanel = new GUI({ title: 'Tuning (T)' });
+
+        // Folders of the layers shown
+        if (getLayer('particles')) {
+            const particlesFolder = tuningPanel.addFolder('Particles');
+            particlesFolder.add(CONFIG.particles, 'count', 0, 5000, 50).onFinishChange(() => {
+                createParticles();
+                morphTargets.clear();
+            });
+            particlesFolder.add(CONFIG.particles, 'size', 0.5, 6, 0.1).onFinishChange(createParticles);
+            particlesFolder.add(CONFIG.particles, 'speed', 0, 0.002, 0.0001);
+        }
+
+        if (getLayer('network')) {
+            const networkFolder = tuningPanel.addFolder('Network');
+            networkFolder.add(CONFIG.network, 'nodeCount', 2, 1000, 1).onFinishChange(createNetwork);
+            networkFolder.add(CONFIG.network, 'connectionDistance', 1, 20, 0.5).onFinishChange(createNetwork);
+        }
+
+        if (getLayer('matrix')) {
+            const matrixFolder = tuningPanel.addFolder('Matrix');
+            matrixFolder.add(MATRIX_CONFIG, 'opacity', 0, 0.3, 0.005);
+            matrixFolder.add(MATRIX_CONFIG, 'speed', 0, 1, 0.01);
+        }
+
+        const sequencesFolder = tuningPanel.addFolder('Durations (s)');
+        CONFIG.timeline.forEach((sequence, i) => {
+            sequencesFolder.add(sequence, 'duration', 0.5, 30, 0.5)
+                .name(`${i + 1}. ${sequence.name}`)
+                .onFinishChange(applyDurations);
+        });
+
+        // Colors are edited on a copy, then applied as a theme extending the current one
+        const colorsFolder = tuningPanel.addFolder('Colors');
+        const themeState = { theme: getThemeBaseName() };
+        const palette = { ...CONFIG.colors };
+        colorsFolder.add(themeState, 'theme', Object.keys(THEMES)).onChange(name => {
+            setTheme(name);
+            Object.assign(palette, CONFIG.colors);
+            colorsFolder.controllersRecursive().forEach(controller => controller.updateDisplay());
+        });
+        THEME_COLOR_KEYS.forEach(key => {
+            colorsFolder.addColor(palette, key).onChange(() => {
+                setTheme({ ...palette, extends: getThemeBaseName() });
+            });
+        });
+
+        if (composer) {
+            const { bloom, vignette, grain, chromaticAberration } = CONFIG.postProcessing;
+            const postFolder = tuningPanel.addFolder('Post-processing');
+            postFolder.add(bloom, 'strength', 0, 3, 0.05).name('bloom');
+            postFolder.add(bloom, 'radius', 0, 1, 0.05).name('bloom radius');
+            postFolder.add(bloom, 'threshold', 0, 1, 0.01).name('bloom threshold');
+            postFolder.add(chromaticAberration, 'amount', 0, 0.01, 0.0001).name('aberration');
+            postFolder.add(vignette, 'darkness', 0, 2, 0.05).name('vignette');
+            postFolder.add(grain, 'intensity', 0, 0.5, 0.01).name('grain');
+        }
+
+        const presetsFolder = tuningPanel.addFolder('Presets');
+        presetsFolder.add({ save: savePreset }, 'save').name('Save preset…');
+        presetsFolder.add({ load: choosePresetFile }, 'load').name('Load preset…');
+    }
+
+    function getThemeBaseName() {
+        return typeof currentTheme === 'string' ? currentTheme : (currentTheme.extends || CONFIG.theme);
+    }
+
+    /**
+     * Rebuild the timeline after a duration change and stay at the same point of the loop
+     */
+    function applyDurations() {
+        const loopTime = playback.time % loopDuration;
+        buildTimeline();
+        seekTo(Math.min(loopTime, loopDuration - FRAME_STEP));
+    }
+
+    /**
+     * @returns {Object} - Current tuning, as stored in a preset file
+     */
+    function getPreset() {
+        return {
+            particles: { ...CONFIG.particles },
+            network: { ...CONFIG.network },
+            matrix: { opacity: MATRIX_CONFIG.opacity, speed: MATRIX_CONFIG.speed },
+            postProcessing: structuredClone(CONFIG.postProcessing),
+            durations: Object.fromEntries(CONFIG.timeline.map(sequence => [sequence.name, sequence.duration])),
+            theme: typeof currentTheme === 'string' ? currentTheme : { ...currentTheme }
+        };
+    }
+
+    /**
+     * Apply a preset file. Every section is optional; durations are matched to
+     * sequences by name, so a preset survives reordering the content file.
+     * @param {Object} preset
+     */
+    function applyPreset(preset) {
+        if (preset.particles) {
+            Object.assign(CONFIG.particles, preset.particles);
+            if (getLayer('particles')) {
+                createParticles();
+                morphTargets.clear();
+            }
+        }
+        if (preset.network) {
+            Object.assign(CONFIG.network, preset.network);
+            if (getLayer('network')) createNetwork();
+        }
+        if (preset.matrix) {
+            Object.assign(MATRIX_CONFIG, preset.matrix);
+        }
+        if (preset.postProcessing) {
+            ['bloom', 'vignette', 'grain', 'chromaticAberration'].forEach(effect => {
+                Object.assign(CONFIG.postProcessing[effect], preset.postProcessing[effect]);
+            });
+        }
+        if (preset.durations) {
+            CONFIG.timeline.forEach(sequence => {
+                const duration = preset.durations[sequence.name];
+                if (typeof duration === 'number' && duration > 0) sequence.duration = duration;
+            });
+            applyDurations();
+        }
+        if (preset.theme) {
+            setTheme(preset.theme);
+        }
+
+        // Rebuild the panel so it shows the new values
+        if (tuningPanel) {
+            toggleTuningPanel();
+            toggleTuningPanel();
+        }
+    }
+
+    function savePreset() {
+        const json = JSON.stringify(getPreset(), null, 4);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'sustain-preset.json');
+    }
+
+    function choosePresetFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                applyPreset(JSON.parse(await file.text()));
+            } catch (error) {
+                console.error(`Preset "${file.name}" could not be loaded`, error);
+            }
+        });
+        input.click();
+    }
+
+    async function loadPreset(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        applyPreset(await response.json());
+    }
+
+    /**
+     * Keyboard shortcuts must not fire while typing in a panel field
+     * @param {KeyboardEvent} e
+     * @returns {boolean}
+     */
+    function isEditingField(e) {
+        return e.target instanceof HTMLElement && e.target.matches('input, textarea, select');
+    }
+
+    // Keyboard shortcut: 'C' switches to the next theme
+    listenKeyboard((e) => {
+        if (isEditingField(e) || timeline.length === 0) return;
+        if (e.key === 'c' || e.key === 'C') {
+            const names = Object.keys(THEMES);
+            setTheme(names[(names.indexOf(getThemeBaseName()) + 1) % names.length]);
+            console.log(`Theme: ${currentTheme}`);
+        }
+    });
+
+    // Keyboard shortcut: 'T' shows / hides the tuning panel
+    listenKeyboard((e) => {
+        if (isEditingField(e) || timeline.length === 0) return;
+        if (e.key === 't' || e.key === 'T') {
+            toggleTuningPanel();
+        }
+    });
+
+    // ============================================
+    // Resize
+    // ============================================
+    function onResize() {
+        // In auto mode a rotated or reshaped window may call for another profile
+        if (!stageScaled) applyOutputProfile(getClosestProfile());
+
+        const stageScale = layoutStage();
+        const { width, height } = getSliceSize();
+
+        updateCameraFraming(width, height);
+        renderer.setPixelRatio(getRenderPixelRatio(stageScale));
+        renderer.setSize(width, height);
+        if (composer) {
+            composer.setPixelRatio(renderer.getPixelRatio());
+            composer.setSize(width, height);
+        }
+        resizeLayers(width, height);
+    }
+
+    // ============================================
+    // Offline Export (frame-accurate)
+    // ============================================
+    let isExporting = false;     // Offline frames are being rendered
+    let offlineBusy = false;     // An export or loop check runs, from the call on
+
+    /**
+     * Run an export or a loop check, one at a time. The flag is set before
+     * the first await (file picker, loading assets), isExporting only once
+     * the frames start.
+     * @param {Function} task - Async
+     * @returns {Promise<*>} - The task result
+     */
+    async function runOffline(task) {
+        if (offlineBusy) throw new Error('An export or loop check is running');
+        offlineBusy = true;
+        try {
+            return await task();
+        } finally {
+            offlineBusy = false;
+        }
+    }
+
+    /**
+     * Render one full loop offline, frame by frame, on a virtual clock.
+     * Each frame is rendered at an exact timestamp (frame / fps) instead of
+     * real elapsed time, so the output never drops frames and loops cleanly.
+     * @param {Object} options - Overrides for CONFIG.export
+     * @param {string} options.format - 'webm' (WebCodecs) or 'png' (numbered frames)
+     * @returns {Promise<void>}
+     */
+    function renderOffline(options = {}) {
+        return runOffline(() => exportLoop(options));
+    }
+
+    async function exportLoop(options) {
+        const { fps, width, height, format, bitrate } = {
+            ...CONFIG.export,
+            width: CONFIG.export.width || outputProfile.width,
+            height: CONFIG.export.height || outputProfile.height,
+            ...options
+        };
+        const frameCount = Math.round(loopDuration * fps);
+
+        // The directory picker needs the user gesture, so ask before anything async
+        const sink = format === 'png'
+            ? await createPNGSequenceSink()
+            : await createWebMSink(width, height, fps, bitrate, await renderLoopAudio());
+
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = width;
+        exportCanvas.height = height;
+        const exportCtx = exportCanvas.getContext('2d');
+
+        await prepareOverlayRasterizer();
+        // The WebGL logos may still be loading
+        await logos3DReady;
+        await morphSourcesReady;
+        await audioTrack.ready;
+
+        // Exports always have the full layout and effects, seen from the camera
+        const liveTier = qualityTierName;
+        if (liveTier !== QUALITY_TOP_TIER) setQualityTier(QUALITY_TOP_TIER);
+        const pathView = Boolean(cameraPathView);
+        if (pathView) toggleCameraPathView();
+        const resume = {
+            time: playback.time,
+            loopIndex: lastLoopIndex,
+            sequence: currentSequence,
+            language: currentLanguage
+        };
+
+        isExporting = true;
+        stopAudioSource();
+        const restoreViewport = setExportViewport(width, height);
+        resetAnimationState();
+        showExportIndicator();
+
+        console.log(`Offline export started: ${frameCount} frames @ ${fps}fps (${width}x${height}, ${format})`);
+
+        try {
+            for (let frame = 0; frame < frameCount; frame++) {
+                const time = frame / fps;
+                renderFrame(time);
+                composeExportFrame(exportCtx, width, height);
+
+                // HTML overlays: freeze their CSS animations at this timestamp, then rasterise
+                syncOverlayAnimations(time);
+                drawOverlayImage(exportCtx, width, height, await rasterizeOverlay());
+
+                await sink.addFrame(exportCanvas, frame);
+                updateExportIndicator((frame + 1) / frameCount);
+            }
+            await sink.finish();
+            console.log('Offline export finished!');
+        } catch (error) {
+            console.error('Offline export failed', error);
+            sink.abort();
+        } finally {
+            restoreViewport();
+            if (liveTier !== QUALITY_TOP_TIER) setQualityTier(liveTier);
+            if (pathView) toggleCameraPathView();
+            releaseOverlayAnimations();
+            hideExportIndicator();
+            isExporting = false;
+            // Back where playback was: the listeners saw none of the exported
+            // frames, so no sequence changed for them; followers resync
+            resetAnimationState();
+            playback.time = resume.time;
+            lastLoopIndex = resume.loopIndex;
+            currentSequence = resume.sequence;
+            setLanguage(resume.language);
+            seekTo(resume.time % loopDuration);
+        }
+    }
+
+    /**
+     * Put the scene back into the state it has on page load, so that every
+     * export starts from the same transition and overlay state.
+     */
+    function resetAnimationState() {
+        transitionStartTime = -Infinity;
+        currentSequence = -1;
+        lastLogoState = null;
+        timelineTimers = [];
+        frameTime = 0;
+        lastLoopIndex = -1;
+        container.querySelectorAll('.sequence').forEach(el => el.classList.remove('active', 'exiting'));
+    }
+
+    /**
+     * Resize the renderer to the export resolution
+     * @returns {Function} - Restores the on-screen size
+     */
+    function setExportViewport(width, height) {
+        const pixelRatio = renderer.getPixelRatio();
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        if (composer) {
+            composer.setPixelRatio(1);
+            composer.setSize(width, height);
+        }
+        updateCameraFraming(width, height);
+        resizeLayers(width, height);
+
+        return () => {
+            renderer.setPixelRatio(pixelRatio);
+            onResize();
+        };
+    }
+
+    function composeExportFrame(exportCtx, width, height) {
+        // Draw background
+        exportCtx.fillStyle = `#${new THREE.Color(CONFIG.colors.background).getHexString()}`;
+        exportCtx.fillRect(0, 0, width, height);
+
+        // Draw Three.js canvas (rendered synchronously just before, no need to preserve the buffer)
+        exportCtx.drawImage(renderer.domElement, 0, 0, width, height);
+    }
+
+    /**
+     * Encode frames to a WebM file with WebCodecs
+     * @returns {Promise<Object>} - Frame sink {addFrame, finish, abort}
+     */
+    async function createWebMSink(width, height, fps, bitrate, audio) {
+        if (typeof VideoEncoder === 'undefined') {
+            throw new Error('WebM export requires WebCodecs (VideoEncoder), use Chrome or Edge');
+        }
+
+        const { Muxer, ArrayBufferTarget } = await import('webm-muxer');
+
+        const encoderConfig = {
+            codec: 'vp09.00.10.08',
+            width,
+            height,
+            bitrate,
+            framerate: fps
+        };
+        const { supported } = await VideoEncoder.isConfigSupported(encoderConfig);
+        if (!supported) {
+            throw new Error(`VP9 encoding at ${width}x${height} is not supported by this browser`);
+        }
+
+        const muxer = new Muxer({
+            target: new ArrayBufferTarget(),
+            video: { codec: 'V_VP9', width, height, frameRate: fps },
+            audio: audio ? { codec: 'A_OPUS', numberOfChannels: audio.numberOfChannels, sampleRate: audio.sampleRate } : undefined
+        });
+
+        // The soundtrack is known in full: encode it up front, the muxer interleaves it
+        const audioEncoder = audio ? await encodeLoopAudio(audio, muxer) : null;
+
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+            error: (error) => { encoderError = error; }
+        });
+        encoder.configure(encoderConfig);
+
+        const frameDuration = 1e6 / fps; // microseconds
+
+        return {
+            async addFrame(canvas, frame) {
+                if (encoderError) throw encoderError;
+
+                const videoFrame = new VideoFrame(canvas, {
+                    timestamp: Math.round(frame * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                // Key frame every 2 seconds
+                encoder.encode(videoFrame, { keyFrame: frame % (fps * 2) === 0 });
+                videoFrame.close();
+
+                // Back-pressure: don't let the encoder queue grow unbounded
+                while (encoder.encodeQueueSize > 4) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            },
+            async finish() {
+                await encoder.flush();
+                if (encoderError) throw encoderError;
+                encoder.close();
+                if (audioEncoder) {
+                    await audioEncoder.flush();
+                    audioEncoder.close();
+                }
+                muxer.finalize();
+                downloadBlob(new Blob([muxer.target.buffer], { type: 'video/webm' }), 'sustain-brussels-loop.webm');
+            },
+            abort() {
+                if (encoder.state !== 'closed') encoder.close();
+                if (audioEncoder && audioEncoder.state !== 'closed') audioEncoder.close();
+            }
+        };
+    }
+
+    /**
+     * Encode the loop soundtrack to Opus into the muxer
+     * @param {AudioBuffer} audio - From renderLoopAudio()
+     * @param {Object} muxer - webm-muxer instance with an audio track
+     * @returns {Promise<AudioEncoder>} - Encoder to flush before finalizing
+     */
+    async function encodeLoopAudio(audio, muxer) {
+        if (typeof AudioEncoder === 'undefined') {
+            throw new Error('WebM export with audio requires WebCodecs (AudioEncoder), use Chrome or Edge');
+        }
+
+        const config = { codec: 'opus', sampleRate: audio.sampleRate, numberOfChannels: audio.numberOfChannels, bitrate: 192000 };
+        const { supported } = await AudioEncoder.isConfigSupported(config);
+        if (!supported) {
+            throw new Error('Opus audio encoding is not supported by this browser');
+        }
+
+        const audioEncoder = new AudioEncoder({
+            output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+            error: (error) => console.error('Audio encoding failed', error)
+        });
+        audioEncoder.configure(config);
+
+        // One second per AudioData, planar float samples
+        const { sampleRate, numberOfChannels, length } = audio;
+        for (let start = 0; start < length; start += sampleRate) {
+            const frames = Math.min(sampleRate, length - start);
+            const data = new Float32Array(frames * numberOfChannels);
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                data.set(audio.getChannelData(channel).subarray(start, start + frames), channel * frames);
+            }
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels,
+                timestamp: Math.round(start / sampleRate * 1e6),
+                data
+            });
+            audioEncoder.encode(audioData);
+            audioData.close();
+        }
+        return audioEncoder;
+    }
+
+    /**
+     * Write numbered PNG frames into a user-picked directory
+     * @returns {Promise<Object>} - Frame sink {addFrame, finish, abort}
+     */
+    async function createPNGSequenceSink() {
+        if (typeof window.showDirectoryPicker !== 'function') {
+            throw new Error('PNG sequence export requires the File System Access API, use Chrome or Edge');
+        }
+
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+
+        return {
+            async addFrame(canvas, frame) {
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+                const name = `frame_${String(frame).padStart(5, '0')}.png`;
+                const fileHandle = await directory.getFileHandle(name, { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+            },
+            async finish() {
+                // Soundtrack next to the frames, trimmed to the loop
+                const audio = await renderLoopAudio();
+                if (!audio) return;
+                const fileHandle = await directory.getFileHandle('audio.wav', { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(encodeWAV(audio));
+                await writable.close();
+            },
+            abort() {}
+        };
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    function showExportIndicator() {
+        const indicator = document.createElement('div');
+        indicator.className = 'rec-indicator';
+        indicator.textContent = '⏺ EXPORT 0%';
+        indicator.style.cssText = `
+            position: absolute;
+            top: 20px;
+            right: 20px;
+            background: #ff0000;
+            color: white;
+            padding: 8px 16px;
+            border-radius: 4px;
+            font-family: monospace;
+            font-size: 14px;
+            z-index: 9999;
+        `;
+        container.appendChild(indicator);
+    }
+
+    function updateExportIndicator(progress) {
+        const indicator = container.querySelector('.rec-indicator');
+        if (indicator) indicator.textContent = `⏺ EXPORT ${Math.floor(progress * 100)}%`;
+    }
+
+    function hideExportIndicator() {
+        const indicator = container.querySelector('.rec-indicator');
+        if (indicator) indicator.remove();
+    }
+
+    // ============================================
+    // Overlay Rasterisation (export)
+    // ============================================
+    // Layers composited over the WebGL canvas, in on-screen stacking order
+    const OVERLAY_SELECTORS = ['.text-overlay', '.logo-container'];
+
+    const overlayAnimationStarts = new WeakMap();
+    let overlayAssets = null;
+
+    function getOverlayRoots() {
+        return OVERLAY_SELECTORS.map(selector => container.querySelector(selector)).filter(Boolean);
+    }
+
+    /**
+     * Pause every CSS animation and transition of the overlays and set it to
+     * its state at the given time, measured from the frame it started on.
+     * @param {number} time - Animation clock time in seconds
+     */
+    function syncOverlayAnimations(time) {
+        getOverlayRoots().forEach(root => {
+            // getAnimations() flushes styles, so classes added this frame are picked up
+            root.getAnimations({ subtree: true }).forEach(animation => {
+                // Animations already running keep their progress
+                if (!overlayAnimationStarts.has(animation)) {
+                    overlayAnimationStarts.set(animation, time - (animation.currentTime || 0) / 1000);
+                }
+                animation.pause();
+                animation.currentTime = (time - overlayAnimationStarts.get(animation)) * 1000;
+            });
+        });
+    }
+
+    function releaseOverlayAnimations() {
+        getOverlayRoots().forEach(root => {
+            root.getAnimations({ subtree: true }).forEach(animation => animation.play());
+        });
+    }
+
+    /**
+     * Inline the images and web fonts used by the overlays: an SVG rendered as an
+     * image cannot load external resources.
+     */
+    async function prepareOverlayRasterizer() {
+        if (overlayAssets) return;
+
+        const images = new Map();
+        const sources = new Set();
+        getOverlayRoots().forEach(root => {
+            root.querySelectorAll('img').forEach(img => sources.add(img.getAttribute('src')));
+        });
+        await Promise.all([...sources].map(async src => {
+            try {
+                images.set(src, await fetchAsDataURL(src));
+            } catch (error) {
+                console.warn(`Overlay export: could not inline ${src}`, error);
+            }
+        }));
+
+        let fontCSS = '';
+        const fontLinks = document.querySelectorAll('link[rel="stylesheet"][href*="fonts.googleapis.com"]');
+        for (const link of fontLinks) {
+            try {
+                let css = await (await fetch(link.href)).text();
+                const urls = [...new Set(css.match(/https:\/\/[^)'"]+/g) || [])];
+                for (const url of urls) {
+                    css = css.split(url).join(await fetchAsDataURL(url));
+                }
+                fontCSS += css;
+            } catch (error) {
+                console.warn('Overlay export: web fonts not embedded, falling back to system fonts', error);
+            }
+        }
+
+        overlayAssets = { images, fontCSS };
+    }
+
+    async function fetchAsDataURL(url) {
+        const blob = await (await fetch(url)).blob();
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Snapshot the overlays into an image through an SVG foreignObject. Every
+     * element gets its computed style inlined (including the animated values),
+     * pseudo-elements are rewritten as rules on generated classes.
+     * @returns {Promise<HTMLImageElement>}
+     */
+    async function rasterizeOverlay() {
+        const { width, height } = getStageSize();
+
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = `position: relative; width: ${width}px; height: ${height}px; overflow: hidden;`;
+
+        const pseudoRules = [];
+        getOverlayRoots().forEach(root => {
+            const clone = root.cloneNode(true);
+            inlineComputedStyles(root, clone, pseudoRules);
+            clone.querySelectorAll('img').forEach(img => {
+                const dataURL = overlayAssets.images.get(img.getAttribute('src'));
+                if (dataURL) img.setAttribute('src', dataURL);
+            });
+            wrapper.appendChild(clone);
+        });
+
+        const style = document.createElement('style');
+        style.textContent = overlayAssets.fontCSS + pseudoRules.join('\n');
+        wrapper.prepend(style);
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+            `<foreignObject x="0" y="0" width="100%" height="100%">${new XMLSerializer().serializeToString(wrapper)}</foreignObject>` +
+            '</svg>';
+
+        const image = new Image();
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        await image.decode();
+        return image;
+    }
+
+    function inlineComputedStyles(source, clone, pseudoRules) {
+        // Animations are already baked into the computed values
+        clone.setAttribute('style', serializeComputedStyle(getComputedStyle(source)) + 'animation: none; transition: none;');
+
+        ['::before', '::after'].forEach(pseudo => {
+            const computed = getComputedStyle(source, pseudo);
+            if (computed.content && computed.content !== 'none' && computed.content !== 'normal') {
+                const className = `export-pseudo-${pseudoRules.length}`;
+                clone.classList.add(className);
+                pseudoRules.push(`.${className}${pseudo} { ${serializeComputedStyle(computed)} }`);
+            }
+        });
+
+        for (let i = 0; i < source.children.length; i++) {
+            inlineComputedStyles(source.children[i], clone.children[i], pseudoRules);
+        }
+    }
+
+    function serializeComputedStyle(computed) {
+        let css = '';
+        for (let i = 0; i < computed.length; i++) {
+            const name = computed[i];
+            css += `${name}: ${computed.getPropertyValue(name)}; `;
+        }
+        return css;
+    }
+
+    /**
+     * Draw the overlay snapshot scaled like the WebGL view: the vertical extent
+     * maps to the export height, and the layout stays horizontally centred.
+     * The snapshot covers the whole stage, only this window's slice is drawn.
+     */
+    function drawOverlayImage(exportCtx, width, height, image) {
+        const slice = getSliceSize();
+        const scale = height / slice.height;
+        const drawWidth = slice.width * scale;
+        exportCtx.drawImage(
+            image,
+            stageSlice.index * slice.width, 0, slice.width, slice.height,
+            (width - drawWidth) / 2, 0, drawWidth, height
+        );
+    }
+
+    // Keyboard shortcut: 'R' exports a WebM, 'Shift+R' a PNG sequence
+    listenKeyboard((e) => {
+        // Nothing to export before the content has loaded
+        if (offlineBusy || timeline.length === 0 || isEditingField(e)) return;
+        if (e.key === 'r' || e.key === 'R') {
+            renderOffline({ format: e.shiftKey ? 'png' : 'webm' }).catch(error => {
+                console.error('Offline export could not start', error);
+            });
+        }
+    });
+
+    // ============================================
+    // Loop Check
+    // ============================================
+    // Renders the frames around the loop point, as the export has them, and
+    // compares the step from the last frame to the first with the steps just
+    // before and after it. Each layer (and the rest of the scene: logo cloud,
+    // SVGs) is rendered on its own, and the camera path is compared in world
+    // units. A layer that moves across the loop point as it does between any
+    // two frames scores about 1; a visible jump scores far above.
+    const LOOP_CHECK = {
+        width: 480,         // Width of the compared frames (height from the stage shape)
+        tolerance: 2,       // Score above which a step is a jump
+        pixelNoise: 0.5,    // Mean channel difference (0-255) of frames that look the same
+        cameraNoise: 0.001  // Same, in world units for the camera
+    };
+
+    /**
+     * Events stay muted for the length of the check, and playback resumes
+     * where it was (time, sequence, language)
+     * @returns {Promise<Object>} - { seamless, layers: [{ name, seam, neighbours, score, seamless }] }
+     */
+    function verifyLoop() {
+        return runOffline(checkLoop);
+    }
+
+    async function checkLoop() {
+        // The WebGL logos and the morph shapes may still be loading
+        await logos3DReady;
+        await morphSourcesReady;
+
+        const step = 1 / CONFIG.export.fps;
+        const times = [loopDuration - 2 * step, loopDuration - step, 0, step];
+        const { width: sliceWidth, height: sliceHeight } = getSliceSize();
+        const width = LOOP_CHECK.width;
+        const height = Math.round(width * sliceHeight / sliceWidth);
+
+        // Same tier and camera as the export; the live state comes back afterwards
+        const liveTier = qualityTierName;
+        if (liveTier !== QUALITY_TOP_TIER) setQualityTier(QUALITY_TOP_TIER);
+        const pathView = Boolean(cameraPathView);
+        if (pathView) toggleCameraPathView();
+        const resume = { time: playback.time, loopIndex: lastLoopIndex, language: currentLanguage };
+
+        isExporting = true;
+        const restoreViewport = setExportViewport(width, height);
+        const target = new THREE.WebGLRenderTarget(width, height);
+        resetAnimationState();
+        // As playback has it: the last sequence entered at its start, not at
+        // the first checked frame (its transition effects have faded by then)
+        settleAt(times[0]);
+
+        // One row per layer, then whatever is outside the layers, then all of
+        // it, through the post-processing when enabled
+        const layerGroups = layers.map(({ context }) => context.group);
+        const rows = [
+            ...layers.map(({ name, context }) => ({ name, objects: [context.group] })),
+            { name: 'logos', objects: scene.children.filter(object => !layerGroups.includes(object) && !object.isLight) },
+            { name: 'scene', objects: null }
+        ];
+        const frames = rows.map(() => []);
+        const cameraFrames = [];
+
+        try {
+            times.forEach(time => {
+                renderFrame(time);
+                cameraFrames.push([camera.position.clone(), cameraTarget.clone(), camera.fov]);
+
+                const visible = scene.children.map(object => object.visible);
+                rows.forEach((row, i) => {
+                    scene.children.forEach((object, k) => {
+                        object.visible = visible[k] && (!row.objects || row.objects.includes(object));
+                    });
+                    const pixels = new Uint8Array(width * height * 4);
+                    if (!row.objects && composer && qualityTier.postEffects !== 'none') {
+                        // The composer draws to the canvas, read back before it is presented
+                        renderer.setRenderTarget(null);
+                        composer.render(0);
+                        const gl = renderer.getContext();
+                        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+                    } else {
+                        renderer.setRenderTarget(target);
+                        renderer.render(scene, camera);
+                        renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+                    }
+                    frames[i].push(pixels);
+                });
+                renderer.setRenderTarget(null);
+                scene.children.forEach((object, k) => {
+                    object.visible = visible[k];
+                });
+            });
+        } finally {
+            target.dispose();
+            restoreViewport();
+            if (liveTier !== QUALITY_TOP_TIER) setQualityTier(liveTier);
+            if (pathView) toggleCameraPathView();
+            // Settle back where playback was, still muted, so listeners see
+            // neither the checked frames nor a second enter of the live sequence
+            resetAnimationState();
+            playback.time = resume.time;
+            lastLoopIndex = resume.loopIndex;
+            setLanguage(resume.language);
+            settleAt(playback.time);
+            isExporting = false;
+            renderFrame(playback.time);
+        }
+
+        const pixelDiff = (a, b) => {
+            let sum = 0;
+            for (let i = 0; i < a.length; i++) {
+                if (i % 4 !== 3) sum += Math.abs(a[i] - b[i]);
+            }
+            return sum / (a.length * 0.75);
+        };
+        const cameraDiff = ([positionA, targetA, fovA], [positionB, targetB, fovB]) =>
+            positionA.distanceTo(positionB) + targetA.distanceTo(targetB) + Math.abs(fovA - fovB);
+
+        const layerResults = [
+            ...rows.map((row, i) => compareLoopSteps(row.name, frames[i], pixelDiff, LOOP_CHECK.pixelNoise)),
+            compareLoopSteps('camera', cameraFrames, cameraDiff, LOOP_CHECK.cameraNoise)
+        ];
+        const result = { seamless: layerResults.every(layer => layer.seamless), layers: layerResults };
+
+        console.table(layerResults);
+        const jumps = layerResults.filter(layer => !layer.seamless).map(layer => layer.name);
+        console.log(jumps.length ? `Loop check: jumps in ${jumps.join(', ')}` : 'Loop check: seamless');
+        return result;
+    }
+
+    /**
+     * @param {string} name
+     * @param {Array} samples - Before the loop point (2), then after it (2)
+     * @param {Function} diff - Distance between two samples
+     * @param {number} noise - Distance of samples that look the same
+     * @returns {{name: string, seam: number, neighbours: number, score: number, seamless: boolean}}
+     */
+    function compareLoopSteps(name, samples, diff, noise) {
+        const seam = diff(samples[1], samples[2]);
+        const neighbours = (diff(samples[0], samples[1]) + diff(samples[2], samples[3])) / 2;
+        const score = seam / Math.max(neighbours, noise);
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            name,
+            seam: round(seam),
+            neighbours: round(neighbours),
+            score: round(score),
+            seamless: seam <= noise || score <= LOOP_CHECK.tolerance
+        };
+    }
+
+    // Keyboard shortcut: 'V' checks the loop point
+    listenKeyboard((e) => {
+        if (offlineBusy || timeline.length === 0 || isEditingField(e)) return;
+        if (e.key === 'v' || e.key === 'V') {
+            verifyLoop().catch(error => console.error('Loop check failed', error));
+        }
+    });
+
+    // ============================================
+    // Lifecycle
+    // ============================================
+    /**
+     * Add a listener outside the container, removed by dispose()
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {Function} handler
+     */
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        listeners.push({ target, type, handler });
+    }
+
+    /**
+     * Presenter shortcuts, only when the instance owns the keyboard
+     * (the full-page player does, embedded instances don't by default)
+     * @param {Function} handler - keydown handler
+     */
+    function listenKeyboard(handler) {
+        if (options.keyboard) listen(document, 'keydown', handler);
+    }
+
+    function emit(type, detail) {
+        // Offline frames (export, loop check) are not playback
+        if (isExporting) return;
+        if (options.onEvent) options.onEvent(type, detail);
+        postControlMessage({ type: 'sustain:event', event: type, detail });
+    }
+
+    /**
+     * @param {number} index - Timeline index
+     * @returns {{index: number, name: string, type: string, start: number, end: number}}
+     */
+    function getSequenceDetail(index) {
+        const { name, type, start, end } = timeline[index];
+        return { index, name, type, start, end };
+    }
+
+    /**
+     * Layers of the stage (see style.css), filled from the content file
+     */
+    function createStage() {
+        container.classList.add('sustain-background');
+
+        const stage = document.createElement('div');
+        stage.className = 'stage';
+        stage.innerHTML = `
+            <div class="canvas-container"></div>
+            <div class="text-overlay"></div>
+            <div class="logo-container position-bottom logos-visible"></div>
+            <div class="progress-bar"><div class="progress-fill"></div></div>
+        `;
+        container.appendChild(stage);
+    }
+
+    /**
+     * Stop the animation and release everything the instance created:
+     * GPU resources, audio, sync connection, listeners and DOM
+     */
+    function dispose() {
+        if (disposed) return;
+        disposed = true;
+
+        cancelAnimationFrame(animationFrame);
+        if (resizeObserver) resizeObserver.disconnect();
+        listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        listeners.length = 0;
+
+        if (tuningPanel) toggleTuningPanel();
+        if (syncTransport) syncTransport.close();
+        if (remoteTransport) remoteTransport.close();
+        if (audioTrack.context) {
+            stopAudioSource();
+            audioTrack.context.close();
+        }
+
+        disposeLayers();
+        if (scene) {
+            scene.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                const materials = Array.isArray(object.material) ? object.material : [object.material];
+                materials.filter(Boolean).forEach(material => {
+                    const uniforms = Object.values(material.uniforms || {}).map(uniform => uniform.value);
+                    [...Object.values(material), ...uniforms].forEach(value => {
+                        if (value && value.isTexture) value.dispose();
+                    });
+                    material.dispose();
+                });
+            });
+        }
+        if (composer) {
+            composer.passes.forEach(pass => pass.dispose && pass.dispose());
+            composer.dispose();
+        }
+        if (renderer) {
+            renderer.dispose();
+            renderer.forceContextLoss();
+        }
+
+        container.querySelectorAll('.stage, .presenter-hud, .content-error, .rec-indicator').forEach(el => el.remove());
+        container.classList.remove('sustain-background', 'stage-scaled', `profile-${outputProfileName}`);
+        [...container.style].filter(name => name.startsWith('--')).forEach(name => container.style.removeProperty(name));
+        container.removeAttribute('lang');
+    }
+
+    // ============================================
+    // Start
+    // ============================================
+    createStage();
+
+    const contentURL = params.get('content') || CONFIG.content;
+    let started = false;
+
+    /**
+     * Public methods called before the content is loaded wait for it and run
+     * in call order; their errors are then logged instead of thrown
+     * @param {Function} method
+     * @returns {Function}
+     */
+    function whenReady(method) {
+        return (...args) => {
+            if (disposed) return;
+            if (started) return method(...args);
+            ready
+                .then(() => {
+                    if (!disposed) method(...args);
+                }, () => {})
+                .catch(error => console.error(error));
+        };
+    }
+
+    const ready = loadContent(contentURL)
+        .then(content => {
+            if (disposed) return;
+            applyContent(content);
+            init();
+            started = true;
+
+            // Optional tuning preset (see the tuning panel)
+            const presetURL = params.get('preset');
+            if (presetURL) {
+                loadPreset(presetURL).catch(error => {
+                    console.error(`Preset "${presetURL}" could not be loaded`, error);
+                });
+            }
+
+            // Loop point check on load
+            if (params.get('verify') === 'loop') {
+                verifyLoop().catch(error => console.error('Loop check failed', error));
+            }
+
+            // Log for debugging
+            console.log('sustain.brussels animation initialized');
+            console.log(`Loop duration: ${loopDuration} seconds`);
+            if (options.keyboard) {
+                console.log('Press R to export one loop as WebM, Shift+R for a PNG sequence');
+                console.log('Press T to open the tuning panel');
+            }
+            emit('ready', { duration: loopDuration });
+        })
+        .catch(error => {
+            console.error(error);
+            showContentError(error);
+            throw error;
+        });
+
+    return {
+        ready,
+        play: whenReady(play),
+        pause: whenReady(pause),
+        seek: whenReady(seekTo),
+        command: whenReady(runCommand),
+        verifyLoop: () => ready.then(verifyLoop),
+        dispose,
+        get time() {
+            return loopDuration ? playback.time % loopDuration : 0;
+        },
+        get duration() {
+            return loopDuration;
+        },
+        get playing() {
+            return playback.playing;
+        },
+        get sequence() {
+            return currentSequence >= 0 ? getSequenceDetail(currentSequence) : null;
+        }
+    };
+}
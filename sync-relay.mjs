@@ -0,0 +1,193 @@
+// ============================================
+// Sync relay
+// ============================================
+// Minimal WebSocket relay for multi-window sync across machines: every text
+// message a client sends is forwarded to the other clients of its channel
+// (the URL path, e.g. ws://host:8787/sustain). No dependencies, Node 18+.
+// There is no authentication: anyone who reaches the relay can drive the
+// screens. It only listens on this machine unless HOST says otherwise, e.g.
+// HOST=0.0.0.0 on a closed venue network.
+//
+//   [HOST=0.0.0.0] node sync-relay.mjs [port]
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = Number(process.argv[2]) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024; // Bytes per message, sync and control messages are far smaller
+
+const channels = new Map(); // Channel name -> Set of sockets
+
+/**
+ * Encode an unmasked server frame
+ * @param {number} opcode - 0x1 text, 0x8 close, 0xA pong
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read the complete frames at the start of a buffer. A frame declaring more
+ * than MAX_PAYLOAD bytes stops decoding with tooBig set.
+ * @param {Buffer} buffer
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer, tooBig: boolean}}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            const declared = buffer.readBigUInt64BE(position);
+            length = declared > BigInt(MAX_PAYLOAD) ? Infinity : Number(declared);
+            position += 8;
+        }
+        if (length > MAX_PAYLOAD) return { frames, rest: buffer.subarray(offset), tooBig: true };
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < position + maskLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(position + maskLength, position + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(position, position + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ fin, opcode, payload });
+        offset = position + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset), tooBig: false };
+}
+
+/**
+ * @param {number} code - Close status, e.g. 1009 message too big
+ * @returns {Buffer}
+ */
+function encodeClose(code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    return encodeFrame(0x8, payload);
+}
+
+function leave(channel, socket) {
+    const clients = channels.get(channel);
+    if (!clients || !clients.delete(socket)) return;
+    if (clients.size === 0) channels.delete(channel);
+    console.log(`- ${channel} (${clients.size} connected)`);
+}
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('WebSocket relay for sustain.brussels multi-window sync\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    // Channel from the path; a malformed one is refused before the handshake
+    let channel;
+    try {
+        channel = decodeURIComponent(new URL(request.url, 'ws://relay').pathname.slice(1)) || 'default';
+    } catch {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    const clients = channels.get(channel);
+    clients.add(socket);
+    console.log(`+ ${channel} (${clients.size} connected)`);
+
+    let pending = Buffer.alloc(0);
+    let fragments = null; // Payloads of a fragmented text message, until its last frame
+    let closed = false;
+
+    const close = code => {
+        closed = true;
+        socket.end(encodeClose(code));
+        leave(channel, socket);
+    };
+
+    // Text: forward to the rest of the channel
+    const forward = payload => {
+        const frame = encodeFrame(0x1, payload);
+        clients.forEach(client => {
+            if (client !== socket && client.writable) client.write(frame);
+        });
+    };
+
+    socket.on('data', data => {
+        if (closed) return;
+        const { frames, rest, tooBig } = decodeFrames(Buffer.concat([pending, data]));
+        pending = rest;
+
+        for (const { fin, opcode, payload } of frames) {
+            if (opcode === 0x1 || opcode === 0x0) {
+                // A text message may come in fragments: a text frame, then continuations
+                if ((opcode === 0x0) !== (fragments !== null)) return close(1002);
+                fragments = opcode === 0x1 ? [payload] : [...fragments, payload];
+                const size = fragments.reduce((total, part) => total + part.length, 0);
+                if (size > MAX_PAYLOAD) return close(1009);
+                if (fin) {
+                    forward(Buffer.concat(fragments));
+                    fragments = null;
+                }
+            } else if (opcode === 0x2) {
+                return close(1003);    // Binary messages are not relayed
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(0xA, payload));
+            } else if (opcode === 0x8) {
+                closed = true;
+                socket.end(encodeFrame(0x8, payload));
+                return;
+            }
+        }
+        if (tooBig) close(1009);
+    });
+    socket.on('close', () => leave(channel, socket));
+    socket.on('error', () => leave(channel, socket));
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Sync relay on ws://${HOST}:${PORT}/<channel>`);
+    if (HOST === '127.0.0.1') console.log('Local only: set HOST=0.0.0.0 to accept other machines');
+});